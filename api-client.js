@@ -0,0 +1,224 @@
+/**
+ * GitHub Issue Radar — api-client.js
+ * The one way the service worker talks to GitHub: a priority queue in front of fetch that
+ * sends conditional requests, tracks the X-RateLimit budget and retries transient failures.
+ * A secondary rate limit is never waited out in the queue: that request and every one after it fail
+ * straight away until GitHub's Retry-After has passed.
+ *
+ * Priorities: 'high' is banner data (issue, comments, timeline), 'normal' everything else,
+ * 'low' is background work such as fork scans, which is refused once the budget runs low.
+ *
+ * Replay mode: with `api_base_override` set in chrome.storage.local (options page → Developer),
+ * github.com API calls go to that base URL instead, normally mock/server.js. Enterprise hosts are untouched.
+ */
+
+const API_PRIORITY = { high: 0, normal: 1, low: 2 };
+const API_MAX_CONCURRENT = 4;
+const API_MAX_RETRIES = 3;
+const API_BASE_BACKOFF_MS = 1000;
+const API_MAX_RETRY_WAIT_MS = 60000;   // a longer Retry-After fails the request instead of stalling the queue
+const API_SECONDARY_LIMIT_PAUSE_MS = 60000;   // when a secondary limit comes without a Retry-After
+const LOW_PRIORITY_RESERVE = 0.1;      // share of each resource's limit kept back for banner data
+
+// ─── Rate Budget ──────────────────────────────────────────────────────────────
+
+// { core: { limit, remaining, used, reset }, graphql: {…}, search: {…} }; mirrored to storage for the popup
+const rateBudget = {};
+chrome.storage.local.get('rate_budget', result => Object.assign(rateBudget, result.rate_budget || {}));
+
+function resourceForUrl(url) {
+  if (url.includes('/graphql')) return 'graphql';
+  if (url.includes('/search/')) return 'search';
+  return 'core';
+}
+
+function recordRateLimit(url, headers) {
+  const limit = headers.get('X-RateLimit-Limit');
+  if (limit === null) return;
+  const resource = headers.get('X-RateLimit-Resource') || resourceForUrl(url);
+  rateBudget[resource] = {
+    limit: parseInt(limit, 10),
+    remaining: parseInt(headers.get('X-RateLimit-Remaining'), 10),
+    used: parseInt(headers.get('X-RateLimit-Used') || '0', 10),
+    reset: parseInt(headers.get('X-RateLimit-Reset'), 10) * 1000,
+    updatedAt: Date.now()
+  };
+  chrome.storage.local.set({ rate_budget: rateBudget });
+}
+
+function budgetFor(resource) {
+  const budget = rateBudget[resource];
+  if (!budget) return null;
+  // A reset in the past means the window rolled over since we last heard
+  if (Date.now() >= budget.reset) return null;
+  return budget;
+}
+
+function isBudgetLow(resource) {
+  const budget = budgetFor(resource);
+  return !!budget && budget.remaining <= Math.ceil(budget.limit * LOW_PRIORITY_RESERVE);
+}
+
+// ─── Replay Mode ──────────────────────────────────────────────────────────────
+
+const GITHUB_API_BASE = apiBaseFor(DEFAULT_HOST);
+
+let apiBaseOverride = null;
+const apiBaseLoaded = chrome.storage.local.get('api_base_override')
+  .then(result => { apiBaseOverride = result.api_base_override || null; });
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes.api_base_override) return;
+  apiBaseOverride = changes.api_base_override.newValue || null;
+  // Cached responses and the budget belong to the server we just left
+  clearResponseCache().catch(e => console.warn('OSS Traffic: Cache clear failed:', e.message));
+  Object.keys(rateBudget).forEach(resource => delete rateBudget[resource]);
+  chrome.storage.local.set({ rate_budget: rateBudget });
+});
+
+async function resolveApiUrl(url) {
+  await apiBaseLoaded;
+  if (!apiBaseOverride || !url.startsWith(GITHUB_API_BASE)) return url;
+  return apiBaseOverride + url.slice(GITHUB_API_BASE.length);
+}
+
+// ─── Request Queue ────────────────────────────────────────────────────────────
+
+const apiQueue = [];
+let apiActive = 0;
+let apiSequence = 0;
+
+function enqueueRequest(priority, run) {
+  return new Promise((resolve, reject) => {
+    apiQueue.push({ rank: API_PRIORITY[priority] ?? API_PRIORITY.normal, seq: apiSequence++, run, resolve, reject });
+    apiQueue.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+    pumpQueue();
+  });
+}
+
+function pumpQueue() {
+  while (apiActive < API_MAX_CONCURRENT && apiQueue.length > 0) {
+    const job = apiQueue.shift();
+    apiActive++;
+    job.run()
+      .then(job.resolve, job.reject)
+      .finally(() => { apiActive--; pumpQueue(); });
+  }
+}
+
+// ─── Fetch With Retries ───────────────────────────────────────────────────────
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function rateLimitError(resource, headers) {
+  const reset = headers.get('X-RateLimit-Reset');
+  const when = reset ? new Date(reset * 1000).toLocaleTimeString() : 'soon';
+  return new Error(`Rate limited (${resource}). Resets at ${when}. Remaining: ${headers.get('X-RateLimit-Remaining') ?? 0}`);
+}
+
+// No requests go out before this time after a secondary rate limit
+let secondaryLimitUntil = 0;
+
+function secondaryLimitError(resource) {
+  const seconds = Math.max(1, Math.ceil((secondaryLimitUntil - Date.now()) / 1000));
+  return new Error(`Secondary rate limit hit (${resource}). Try again in ${seconds} s.`);
+}
+
+// How long GitHub wants us to back off for a secondary rate limit, or null for any other 403/429.
+// Secondary limits leave quota and come with a Retry-After or say so in the message.
+async function secondaryLimitPause(response) {
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter !== null) return parseInt(retryAfter, 10) * 1000;
+  const message = await response.text().catch(() => '');
+  return /secondary rate limit|abuse detection/i.test(message) ? API_SECONDARY_LIMIT_PAUSE_MS : null;
+}
+
+// How long to wait before retrying, or null when the response is final
+function retryDelay(response, attempt) {
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter !== null) return parseInt(retryAfter, 10) * 1000;
+  if (response.status >= 500) return API_BASE_BACKOFF_MS * 2 ** attempt;
+  return null;
+}
+
+async function sendWithRetries(url, init, resource) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (err) {
+      if (attempt >= API_MAX_RETRIES) throw new Error(`Network error: ${err.message}`);
+      await sleep(API_BASE_BACKOFF_MS * 2 ** attempt);
+      continue;
+    }
+
+    recordRateLimit(url, response.headers);
+    if (response.ok || response.status === 304) return response;
+
+    if (response.status === 401) {
+      throw new Error('Invalid Personal Access Token. Please check your settings.');
+    }
+    if ((response.status === 403 || response.status === 429) && response.headers.get('X-RateLimit-Remaining') === '0') {
+      throw rateLimitError(resource, response.headers);
+    }
+    if (response.status === 403 || response.status === 429) {
+      const pause = await secondaryLimitPause(response);
+      if (pause === null) throw new Error(`GitHub API error: ${response.status}`);
+      secondaryLimitUntil = Date.now() + pause;
+      throw secondaryLimitError(resource);
+    }
+
+    const wait = retryDelay(response, attempt);
+    if (wait === null) throw new Error(`GitHub API error: ${response.status}`);
+    if (attempt >= API_MAX_RETRIES || wait > API_MAX_RETRY_WAIT_MS) {
+      throw new Error(`GitHub API error: ${response.status} after ${attempt + 1} attempts`);
+    }
+    await sleep(wait);
+  }
+}
+
+/**
+ * Queued GitHub request. Pass the cached entry's validators and an unchanged resource comes back as
+ * { notModified: true } from a 304, which doesn't count against the quota.
+ * options: { pat, priority = 'normal', method = 'GET', body, accept, validators: { etag, lastModified } }
+ * Resolves to { data, etag, lastModified, link } or { notModified: true }.
+ */
+function githubFetch(url, { pat = null, priority = 'normal', method = 'GET', body = null, accept, validators = null } = {}) {
+  const resource = resourceForUrl(url);
+  if (priority === 'low' && isBudgetLow(resource)) {
+    return Promise.reject(new Error(`Skipped: ${resource} rate budget is reserved for banner data`));
+  }
+
+  return enqueueRequest(priority, async () => {
+    // Requests queued before a secondary limit hit fail here instead of adding to it
+    if (Date.now() < secondaryLimitUntil) throw secondaryLimitError(resource);
+    const headers = {
+      'Accept': accept || 'application/vnd.github.v3+json',
+      'User-Agent': 'GitHub-Issue-Radar'
+    };
+    if (pat) headers['Authorization'] = `${method === 'POST' ? 'bearer' : 'token'} ${pat}`;
+    if (body) headers['Content-Type'] = 'application/json';
+    if (validators?.etag) headers['If-None-Match'] = validators.etag;
+    else if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const target = await resolveApiUrl(url);
+    const response = await sendWithRetries(target, { method, headers, body: body ? JSON.stringify(body) : undefined }, resource);
+    if (response.status === 304) return { notModified: true };
+
+    return {
+      data: await response.json(),
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+      link: response.headers.get('Link')
+    };
+  });
+}
+
+// Link: <https://api.github.com/…?page=2>; rel="next", <…>; rel="last"
+function nextPageUrl(link) {
+  return (link || '').split(',').map(part => part.match(/<([^>]+)>;\s*rel="next"/)?.[1]).find(Boolean) || null;
+}
+
+function githubRequest(url, options = {}) {
+  return githubFetch(url, { ...options, validators: null }).then(result => result.data);
+}
@@ -1,38 +1,679 @@
 // background.js - Service Worker for GitHub Issue Radar
 
+importScripts('hosts.js', 'tokens.js', 'claims.js', 'difficulty-profile.js', 'config.js', 'pr-links.js', 'response-cache.js', 'api-client.js');
+
+const WATCH_ALARM = 'oss-tc-watchlist';
+const WATCH_INTERVAL_MINUTES = 15;
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Callers name the host and repo owner; the matching token profile is picked here
   if (request.type === 'FETCH_GITHUB') {
-    fetchGitHub(request.url, request.pat)
-      .then(data => sendResponse({ success: true, data }))
+    getAuthFor(request.host, request.owner)
+      .then(auth => fetchGitHubPages(request.url, auth, request.maxPages, {
+        priority: request.priority,
+        ttlMinutes: request.ttlMinutes,
+        onUpdate: () => notifyCacheUpdate(sender, request.url)
+      }))
+      .then(({ data, stale, capped }) => sendResponse({ success: true, data, stale, capped }))
       .catch(err => sendResponse({ success: false, error: err.message }));
     return true; // keep channel open for async
   }
+
+  if (request.type === 'FETCH_ISSUE_BUNDLE') {
+    getAuthFor(request.host, request.owner)
+      .then(auth => {
+        // A bundle read with fewer comment pages is missing comments, so the page cap is part of the key
+        const key = cacheKeyFor(`graphql:${issueUrl(request)}?comment_pages=${request.maxCommentPages}`, auth);
+        return cachedLoad(key, {
+          ttlMs: cacheTtlFor(key, request.ttlMinutes),
+          load: async () => ({
+            data: await fetchIssueBundleGraphQL(request.owner, request.repo, request.number,
+              auth.pat, request.maxCommentPages, request.host)
+          }),
+          onUpdate: () => notifyCacheUpdate(sender, key)
+        });
+      })
+      .then(({ data, stale }) => sendResponse({ success: true, data, stale }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'HAS_TOKEN') {
+    getTokenProfiles()
+      .then(async profiles => {
+        const profile = resolveTokenProfile(profiles, request.host, request.owner);
+        const hasToken = !!profile && !!(await getProfileToken(profile));
+        sendResponse({ success: true, data: { hasToken, profile: hasToken ? profile.name : null } });
+      })
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'START_DEVICE_FLOW') {
+    startDeviceFlow(request.profile)
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'CANCEL_DEVICE_FLOW') {
+    cancelDeviceFlow()
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'TEST_TOKEN') {
+    testTokenRequest(request)
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'GET_CACHE_STATS') {
+    getCacheStats()
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'CLEAR_CACHE') {
+    clearResponseCache()
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'WATCH_ISSUE') {
+    watchIssue(request.issue)
+      .then(entry => sendResponse({ success: true, data: entry }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === 'UNWATCH_ISSUE') {
+    unwatchIssue(request.issue)
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
 });
 
-async function fetchGitHub(url, pat = null) {
-  const headers = {
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'GitHub-Issue-Radar'
+// ─── Cached REST ──────────────────────────────────────────────────────────────
+
+// Each token profile gets its own cache entries: one may see private repositories or fields another can't.
+// auth is { pat, profileId } from getAuthFor (tokens.js).
+function cacheKeyFor(url, auth) {
+  return `${auth?.profileId || 'anonymous'}|${url}`;
+}
+
+// Resolves to { data, stale }; see cachedLoad in response-cache.js
+function fetchGitHubCached(url, auth, { priority = 'normal', ttlMinutes, maxStaleMs, onUpdate } = {}) {
+  return cachedLoad(cacheKeyFor(url, auth), {
+    ttlMs: cacheTtlFor(url, ttlMinutes),
+    maxStaleMs,
+    onUpdate,
+    load: entry => githubFetch(url, { pat: auth?.pat || null, priority, validators: entry })
+  });
+}
+
+// Follows Link rel="next" for up to maxPages pages and concatenates them; `capped` means more were left.
+// A single page (the default) is returned as is, so non-list endpoints work too.
+async function fetchGitHubPages(url, auth, maxPages = 1, options = {}) {
+  const first = await fetchGitHubCached(url, auth, options);
+  if (maxPages <= 1 || !Array.isArray(first.data)) {
+    return { data: first.data, stale: first.stale, capped: !!nextPageUrl(first.link) };
+  }
+
+  const data = [...first.data];
+  let { stale } = first;
+  let next = nextPageUrl(first.link);
+  for (let page = 2; next && page <= maxPages; page++) {
+    const result = await fetchGitHubCached(next, auth, options);
+    data.push(...result.data);
+    stale = stale || result.stale;
+    next = nextPageUrl(result.link);
+  }
+  return { data, stale, capped: !!next };
+}
+
+// Never answers from stale data; an expired entry is revalidated, which costs nothing when it's a 304
+async function fetchGitHub(url, auth = null, priority = 'normal', maxPages = 1) {
+  return (await fetchGitHubPages(url, auth, maxPages, { priority, ttlMinutes: 0, maxStaleMs: 0 })).data;
+}
+
+// Tells the tab that rendered stale data that fresher data is in the cache
+function notifyCacheUpdate(sender, key) {
+  if (sender.tab?.id === undefined) return;
+  chrome.tabs.sendMessage(sender.tab.id, { type: 'CACHE_UPDATED', key }).catch(() => {});
+}
+
+// Responses used to be cached in chrome.storage.local as cache_<url> and never expired
+chrome.runtime.onInstalled.addListener(async () => {
+  const all = await chrome.storage.local.get(null);
+  const legacy = Object.keys(all).filter(k => k.startsWith('cache_'));
+  if (legacy.length > 0) await chrome.storage.local.remove(legacy);
+});
+
+// ─── Tokens ───────────────────────────────────────────────────────────────────
+
+chrome.runtime.onInstalled.addListener(() => {
+  migrateSyncedTokens().catch(e => console.warn('OSS Traffic: token migration failed:', e.message));
+});
+
+const DEVICE_CODE_URL = 'https://github.com/login/device/code';
+const DEVICE_TOKEN_URL = 'https://github.com/login/oauth/access_token';
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// Bumped to stop a running poll when a new sign-in starts or the user cancels
+let deviceFlowRun = 0;
+
+async function postOAuthForm(url, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params)
+  });
+  if (!response.ok) throw new Error(`GitHub sign-in error: ${response.status}`);
+  return response.json();
+}
+
+/**
+ * OAuth device flow for github.com. Progress is kept in chrome.storage.session as `device_flow` so the
+ * popup can pick it up again after being closed:
+ *   { status: 'pending' | 'done' | 'error', userCode, verificationUri, expiresAt, profileName, error }
+ * fields: the token profile to create, or to re-authorize when it carries an existing id.
+ */
+async function startDeviceFlow(fields = {}) {
+  const clientId = await getOAuthClientId();
+  if (!clientId) throw new Error('Sign-in needs an OAuth App client ID; add one on the options page');
+  const code = await postOAuthForm(DEVICE_CODE_URL, { client_id: clientId, scope: OAUTH_SCOPES });
+  if (code.error) throw new Error(code.error_description || code.error);
+
+  const flow = {
+    status: 'pending',
+    userCode: code.user_code,
+    verificationUri: code.verification_uri,
+    expiresAt: Date.now() + code.expires_in * 1000
+  };
+  const run = ++deviceFlowRun;
+  await chrome.storage.session.set({ device_flow: flow });
+
+  pollDeviceFlow(run, flow, clientId, code.device_code, code.interval, fields).catch(async e => {
+    if (run === deviceFlowRun) await chrome.storage.session.set({ device_flow: { ...flow, status: 'error', error: e.message } });
+  });
+  return flow;
+}
+
+async function pollDeviceFlow(run, flow, clientId, deviceCode, interval, fields) {
+  let wait = interval * 1000;
+  while (run === deviceFlowRun) {
+    if (Date.now() >= flow.expiresAt) throw new Error('The sign-in code expired. Start again.');
+    await sleep(wait);
+    const result = await postOAuthForm(DEVICE_TOKEN_URL, {
+      client_id: clientId, device_code: deviceCode, grant_type: DEVICE_GRANT_TYPE
+    });
+    if (run !== deviceFlowRun) return;
+
+    if (result.access_token) {
+      const profile = await saveTokenProfile({
+        ...fields, host: DEFAULT_HOST, kind: 'oauth', scopes: (result.scope || '').split(',').filter(Boolean)
+      }, result.access_token);
+      await testTokenRequest({ profileId: profile.id }).catch(() => {});
+      await chrome.storage.session.set({ device_flow: { ...flow, status: 'done', profileName: profile.name } });
+      return;
+    }
+    if (result.error === 'slow_down') wait = (result.interval || wait / 1000 + 5) * 1000;
+    else if (result.error !== 'authorization_pending') throw new Error(result.error_description || result.error);
+
+    // An extension API call each round keeps the service worker alive while the user types the code
+    await chrome.storage.session.set({ device_flow: { ...flow, checkedAt: Date.now() } });
+  }
+}
+
+async function cancelDeviceFlow() {
+  deviceFlowRun++;
+  await chrome.storage.session.remove('device_flow');
+}
+
+// Sent straight to fetch rather than through api-client.js: the budget there belongs to the tokens in use
+async function testToken(token, host = DEFAULT_HOST) {
+  const headers = { 'Accept': 'application/vnd.github.v3+json', 'Authorization': `token ${token}` };
+  const base = apiBaseFor(host);
+  const [user, rate] = await Promise.all([
+    fetch(await resolveApiUrl(`${base}/user`), { headers }),
+    fetch(await resolveApiUrl(`${base}/rate_limit`), { headers })
+  ]);
+  if (user.status === 401) throw new Error('GitHub rejected this token (401)');
+  if (!user.ok) throw new Error(`GitHub API error: ${user.status}`);
+
+  // Classic PATs and OAuth tokens list their scopes; fine-grained tokens send no header
+  const scopes = user.headers.get('X-OAuth-Scopes');
+  // Enterprise Server answers 404 on /rate_limit when rate limiting is turned off
+  const resources = rate.ok ? (await rate.json()).resources : {};
+  const limits = {};
+  ['core', 'graphql', 'search'].forEach(name => {
+    const r = resources[name];
+    if (r) limits[name] = { limit: r.limit, remaining: r.remaining, reset: r.reset * 1000 };
+  });
+
+  return {
+    login: (await user.json()).login,
+    scopes: scopes === null ? null : scopes.split(',').map(s => s.trim()).filter(Boolean),
+    rate: limits
   };
-  if (pat) {
-    headers['Authorization'] = `token ${pat}`;
+}
+
+// { profileId } tests a saved profile and records who it belongs to; { token, host } tests a token before saving
+async function testTokenRequest({ profileId, token, host }) {
+  if (!profileId) return testToken(token, host);
+
+  const profile = (await getTokenProfiles()).find(p => p.id === profileId);
+  if (!profile) throw new Error('Token profile not found');
+  const stored = await getProfileToken(profile);
+  if (!stored) throw new Error('This profile has no token on this device. Add it again.');
+  const result = await testToken(stored, profile.host);
+  await saveTokenProfile({ ...profile, login: result.login, scopes: result.scopes, testedAt: new Date().toISOString() });
+  return result;
+}
+
+// ─── GraphQL Issue Bundle ─────────────────────────────────────────────────────
+
+const COMMENT_FIELDS = `
+  fragment CommentFields on IssueComment {
+    databaseId body url createdAt authorAssociation author { login }
   }
+`;
 
-  const response = await fetch(url, { headers });
+const ISSUE_BUNDLE_QUERY = `
+  query IssueBundle($owner: String!, $repo: String!, $number: Int!) {
+    repository(owner: $owner, name: $repo) {
+      issue(number: $number) {
+        number title body url state createdAt updatedAt
+        author { login }
+        reactions(content: THUMBS_UP) { totalCount }
+        labels(first: 50) { nodes { name color } }
+        assignees(first: 10) {
+          nodes { login avatarUrl pullRequests(states: OPEN) { totalCount } }
+        }
+        comments(first: 100) {
+          totalCount
+          pageInfo { hasNextPage endCursor }
+          nodes { ...CommentFields }
+        }
+        timelineItems(first: 100, itemTypes: [CROSS_REFERENCED_EVENT, CONNECTED_EVENT, DISCONNECTED_EVENT, ASSIGNED_EVENT, UNASSIGNED_EVENT, LABELED_EVENT, UNLABELED_EVENT]) {
+          pageInfo { hasNextPage }
+          nodes {
+            __typename
+            ... on CrossReferencedEvent { createdAt willCloseTarget source { ...LinkedPR } }
+            ... on ConnectedEvent { createdAt subject { ...LinkedPR } }
+            ... on DisconnectedEvent { createdAt subject { ...LinkedPR } }
+            ... on AssignedEvent { createdAt assignee { ... on User { login } } }
+            ... on UnassignedEvent { createdAt assignee { ... on User { login } } }
+            ... on LabeledEvent { createdAt label { name } }
+            ... on UnlabeledEvent { createdAt label { name } }
+          }
+        }
+        activity: timelineItems(last: 100, itemTypes: [REFERENCED_EVENT, CLOSED_EVENT, REOPENED_EVENT]) {
+          nodes {
+            __typename
+            ... on ReferencedEvent { createdAt }
+            ... on ClosedEvent { createdAt }
+            ... on ReopenedEvent { createdAt }
+          }
+        }
+      }
+    }
+  }
+  fragment LinkedPR on PullRequest {
+    number title url state isDraft merged createdAt updatedAt closedAt mergedAt
+    author { login }
+    repository { nameWithOwner }
+    timelineItems(last: 1, itemTypes: [CLOSED_EVENT]) {
+      nodes { ... on ClosedEvent { actor { login } } }
+    }
+    reviews(last: 20) { nodes { submittedAt } }
+  }
+  ${COMMENT_FIELDS}
+`;
 
-  if (response.status === 403) {
-    const remaining = response.headers.get('X-RateLimit-Remaining');
-    const reset = response.headers.get('X-RateLimit-Reset');
-    throw new Error(`Rate limited. Resets at ${new Date(reset * 1000).toLocaleTimeString()}. Remaining: ${remaining}`);
+const ISSUE_COMMENTS_QUERY = `
+  query IssueComments($owner: String!, $repo: String!, $number: Int!, $after: String) {
+    repository(owner: $owner, name: $repo) {
+      issue(number: $number) {
+        comments(first: 100, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ...CommentFields }
+        }
+      }
+    }
   }
+  ${COMMENT_FIELDS}
+`;
 
-  if (response.status === 401) {
-    throw new Error('Invalid Personal Access Token. Please check your settings.');
+async function fetchGraphQL(query, variables, pat, priority = 'high', host = DEFAULT_HOST) {
+  const json = await githubRequest(graphqlUrlFor(host), {
+    pat, priority, method: 'POST', body: { query, variables }
+  });
+  if (json.errors?.length) {
+    throw new Error(`GitHub GraphQL error: ${json.errors[0].message}`);
   }
+  return json.data;
+}
+
+// Reshapes GraphQL nodes into the REST field names the scanners already read
+function normalizeIssueBundle(issue, owner, repo) {
+  // Timeline nodes are chronological, so a later DisconnectedEvent undoes an earlier manual link
+  const prsByNumber = new Map();
+  const closing = new Set();
+  const manual = new Set();
+  const assignmentEvents = [];
+  const labelEvents = [];
+  // Same shape as activityEventsFromTimeline's REST output
+  const activityEvents = issue.activity.nodes.map(node => ({
+    kind: node.__typename === 'ReferencedEvent' ? 'commit' : 'state',
+    createdAt: node.createdAt
+  }));
+  issue.timelineItems.nodes.forEach(node => {
+    if (node.__typename === 'LabeledEvent' || node.__typename === 'UnlabeledEvent') {
+      activityEvents.push({ kind: 'label', createdAt: node.createdAt });
+      if (node.label) labelEvents.push({
+        type: node.__typename === 'LabeledEvent' ? 'labeled' : 'unlabeled',
+        label: node.label.name,
+        createdAt: node.createdAt
+      });
+      return;
+    }
+    if (node.__typename === 'AssignedEvent' || node.__typename === 'UnassignedEvent') {
+      activityEvents.push({ kind: 'assignment', createdAt: node.createdAt });
+      if (node.assignee?.login) assignmentEvents.push({
+        type: node.__typename === 'AssignedEvent' ? 'assigned' : 'unassigned',
+        login: node.assignee.login,
+        createdAt: node.createdAt
+      });
+      return;
+    }
+    activityEvents.push({ kind: 'crossref', createdAt: node.createdAt });
+    const pr = node.__typename === 'CrossReferencedEvent' ? node.source : node.subject;
+    if (!pr?.number) return;
+    if (pr.repository?.nameWithOwner.toLowerCase() !== `${owner}/${repo}`.toLowerCase()) return;
+    prsByNumber.set(pr.number, pr);
+    if (node.__typename === 'CrossReferencedEvent' && node.willCloseTarget) closing.add(pr.number);
+    if (node.__typename === 'ConnectedEvent') manual.add(pr.number);
+    if (node.__typename === 'DisconnectedEvent') manual.delete(pr.number);
+  });
 
-  if (!response.ok) {
-    throw new Error(`GitHub API error: ${response.status}`);
+  const allPRs = [...prsByNumber.values()].map(pr => ({
+    url: pr.url, number: pr.number, title: pr.title,
+    isDraft: pr.isDraft, user: pr.author?.login,
+    state: pr.state === 'OPEN' ? 'open' : 'closed', merged: pr.merged,
+    createdAt: pr.createdAt, updatedAt: pr.updatedAt,
+    closedAt: pr.closedAt, mergedAt: pr.mergedAt,
+    closedBy: pr.timelineItems?.nodes[0]?.actor?.login || null,
+    linkType: closing.has(pr.number) ? 'closes' : manual.has(pr.number) ? 'manual' : 'mentions',
+    source: 'graphql'
+  }));
+  const linkedPRs = allPRs.filter(pr => pr.state === 'open');
+  const prAttempts = allPRs.filter(isTargetingPR);
+  [...prsByNumber.values()].forEach(pr => (pr.reviews?.nodes || []).forEach(review => {
+    if (review.submittedAt) activityEvents.push({ kind: 'review', createdAt: review.submittedAt });
+  }));
+
+  return {
+    source: 'graphql',
+    issue: {
+      number: issue.number,
+      title: issue.title,
+      body: issue.body,
+      html_url: issue.url,
+      state: issue.state.toLowerCase(),
+      created_at: issue.createdAt,
+      updated_at: issue.updatedAt,
+      user: { login: issue.author?.login },
+      comments: issue.comments.totalCount,
+      reactions: { '+1': issue.reactions.totalCount },
+      labels: issue.labels.nodes.map(l => ({ name: l.name, color: l.color })),
+      assignees: issue.assignees.nodes.map(a => ({
+        login: a.login, avatar_url: a.avatarUrl, open_pr_count: a.pullRequests.totalCount
+      }))
+    },
+    comments: issue.comments.nodes.map(c => ({
+      id: c.databaseId,
+      body: c.body,
+      html_url: c.url,
+      created_at: c.createdAt,
+      author_association: c.authorAssociation,
+      user: { login: c.author?.login }
+    })),
+    linkedPRs,
+    prAttempts,
+    assignmentEvents,
+    labelEvents,
+    activityEvents
+  };
+}
+
+async function fetchIssueBundleGraphQL(owner, repo, number, pat, maxCommentPages = 10, host = DEFAULT_HOST) {
+  if (!pat) throw new Error('GraphQL requires a Personal Access Token');
+  const variables = { owner, repo, number: parseInt(number) };
+  const data = await fetchGraphQL(ISSUE_BUNDLE_QUERY, variables, pat, 'high', host);
+  const issue = data.repository?.issue;
+  if (!issue) throw new Error(`Issue ${owner}/${repo}#${number} not found`);
+
+  // Follow the comment cursor so claims and maintainer replies past the first 100 are seen
+  let pageInfo = issue.comments.pageInfo;
+  for (let page = 1; pageInfo.hasNextPage && page < maxCommentPages; page++) {
+    const more = await fetchGraphQL(ISSUE_COMMENTS_QUERY, { ...variables, after: pageInfo.endCursor }, pat, 'high', host);
+    const comments = more.repository.issue.comments;
+    issue.comments.nodes.push(...comments.nodes);
+    pageInfo = comments.pageInfo;
   }
 
-  return response.json();
+  return {
+    ...normalizeIssueBundle(issue, owner, repo),
+    capped: { comments: pageInfo.hasNextPage, timeline: issue.timelineItems.pageInfo.hasNextPage }
+  };
+}
+
+// ─── Enterprise Hosts ─────────────────────────────────────────────────────────
+
+// github.com is covered by manifest.json; enterprise hosts get the same files once the user grants access
+const ENTERPRISE_SCRIPT_ID = 'radar-enterprise-hosts';
+const CONTENT_SCRIPT_FILES = {
+  js: ['hosts.js', 'claims.js', 'momentum.js', 'difficulty-profile.js', 'config.js', 'pr-links.js', 'scoring.js', 'status.js', 'history.js', 'sidebar.js', 'export.js', 'content.js'],
+  css: ['styles.css', 'sidebar.css']
+};
+
+function issuePageMatches(host) {
+  return [`https://${host}/*/*/issues`, `https://${host}/*/*/issues?*`, `https://${host}/*/*/issues/*`];
+}
+
+async function syncEnterpriseScripts() {
+  try {
+    const granted = [];
+    for (const host of await getEnterpriseHosts()) {
+      if (await chrome.permissions.contains({ origins: [hostOrigin(host)] })) granted.push(host);
+    }
+
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [ENTERPRISE_SCRIPT_ID] });
+    if (existing.length > 0) await chrome.scripting.unregisterContentScripts({ ids: [ENTERPRISE_SCRIPT_ID] });
+    if (granted.length === 0) return;
+
+    await chrome.scripting.registerContentScripts([{
+      id: ENTERPRISE_SCRIPT_ID,
+      matches: granted.flatMap(issuePageMatches),
+      ...CONTENT_SCRIPT_FILES,
+      runAt: 'document_idle',
+      persistAcrossSessions: true
+    }]);
+  } catch (e) {
+    console.warn('OSS Traffic: enterprise content script registration failed:', e.message);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(syncEnterpriseScripts);
+chrome.permissions.onAdded.addListener(syncEnterpriseScripts);
+chrome.permissions.onRemoved.addListener(syncEnterpriseScripts);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.enterprise_hosts) syncEnterpriseScripts();
+});
+
+// ─── Watchlist ────────────────────────────────────────────────────────────────
+
+chrome.runtime.onInstalled.addListener(ensureWatchAlarm);
+chrome.runtime.onStartup.addListener(ensureWatchAlarm);
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === WATCH_ALARM) pollWatchlist();
+});
+
+chrome.notifications.onClicked.addListener(async notificationId => {
+  // Notification ids are "<issue url>|<timestamp>"
+  const url = notificationId.split('|')[0];
+  const hosts = [DEFAULT_HOST, ...await getEnterpriseHosts()];
+  if (hosts.some(host => url.startsWith(`https://${host}/`))) chrome.tabs.create({ url });
+  chrome.notifications.clear(notificationId);
+});
+
+function ensureWatchAlarm() {
+  chrome.alarms.get(WATCH_ALARM, alarm => {
+    if (!alarm) chrome.alarms.create(WATCH_ALARM, { periodInMinutes: WATCH_INTERVAL_MINUTES });
+  });
+}
+
+async function getWatchlist() {
+  const result = await chrome.storage.local.get('watchlist');
+  return result.watchlist || {};
+}
+
+const SNAPSHOT_COMMIT_CHECK_LIMIT = 5;
+
+// Re-runs PR and claim detection for one issue using the REST API only
+async function snapshotIssue({ host = DEFAULT_HOST, owner, repo, number }, auth) {
+  const config = await getRadarConfig(owner, repo);
+  const base = `${apiBaseFor(host)}/repos/${owner}/${repo}/issues/${number}`;
+  // Recent claims live on the last pages, so busy issues need the rest of the comments too
+  const [issue, comments, timeline] = await Promise.all([
+    fetchGitHub(base, auth),
+    fetchGitHub(`${base}/comments?per_page=100`, auth, 'normal', config.maxCommentPages),
+    fetchGitHub(`${base}/timeline?per_page=100`, auth, 'normal', config.maxTimelinePages)
+  ]);
+
+  // Only PRs that close or are manually linked to the issue turn it red. Open PRs that only mention it
+  // may still close it from a commit message, which the timeline doesn't include.
+  const commits = {};
+  const mentions = linkedPRsFromTimeline(timeline, owner, repo, number)
+    .filter(pr => pr.linkType === 'mentions')
+    .slice(0, SNAPSHOT_COMMIT_CHECK_LIMIT);
+  await Promise.all(mentions.map(async pr => {
+    try {
+      commits[pr.number] = await fetchGitHub(`${apiBaseFor(host)}/repos/${owner}/${repo}/pulls/${pr.number}/commits?per_page=100`, auth);
+    } catch (_) {}
+  }));
+  const linked = linkedPRsFromTimeline(timeline, owner, repo, number, { includeClosed: true, commits });
+  const prNumbers = linked
+    .filter(pr => pr.state === 'open' && isTargetingPR(pr))
+    .map(pr => pr.number);
+  const claims = evaluateClaims(comments, {
+    assignmentEvents: assignmentEventsFromTimeline(timeline),
+    assignees: (issue.assignees || []).map(a => a.login),
+    linkedPRs: linked,
+    claimKeywords: config.claimKeywords,
+    staleClaimHours: config.staleClaimHours
+  });
+  const lastMaintainerReply = [...comments].reverse()
+    .find(c => MAINTAINER_ASSOCIATIONS.includes(c.author_association));
+
+  // Stale and released claims count as free here: the point of watching is to learn when an issue opens up
+  let status = 'green';
+  if (prNumbers.length > 0) status = 'red';
+  else if (claims.some(c => c.state === 'fresh')) status = 'yellow';
+
+  return {
+    status,
+    prNumbers,
+    title: issue.title,
+    state: issue.state,
+    lastMaintainerReply: lastMaintainerReply
+      ? { id: lastMaintainerReply.id, login: lastMaintainerReply.user?.login, url: lastMaintainerReply.html_url }
+      : null,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+async function watchIssue(issue) {
+  const snapshot = await snapshotIssue(issue, await getAuthFor(issue.host, issue.owner));
+  const watchlist = await getWatchlist();
+  const entry = {
+    host: issue.host || DEFAULT_HOST, owner: issue.owner, repo: issue.repo, number: issue.number,
+    url: issueUrl(issue),
+    addedAt: new Date().toISOString(),
+    snapshot
+  };
+  watchlist[watchKey(issue)] = entry;
+  await chrome.storage.local.set({ watchlist });
+  ensureWatchAlarm();
+  return entry;
+}
+
+async function unwatchIssue(issue) {
+  const watchlist = await getWatchlist();
+  delete watchlist[watchKey(issue)];
+  await chrome.storage.local.set({ watchlist });
+}
+
+function describeChanges(prev, next) {
+  const changes = [];
+  if (prev.status !== 'red' && next.status === 'red') {
+    const newPRs = next.prNumbers.filter(n => !prev.prNumbers.includes(n));
+    changes.push(`🛑 PR opened${newPRs.length ? ` (#${newPRs.join(', #')})` : ''}`);
+  } else if (prev.status === 'red' && next.status !== 'red') {
+    changes.push(next.status === 'green' ? '✅ Linked PRs closed · clear to contribute' : '⚠️ Linked PRs closed · still claimed');
+  } else if (prev.status === 'yellow' && next.status === 'green') {
+    changes.push('✅ Claim went stale or was released · clear to contribute');
+  } else if (prev.status === 'green' && next.status === 'yellow') {
+    changes.push('⚠️ Someone just claimed this');
+  }
+
+  const prevReply = prev.lastMaintainerReply?.id;
+  const nextReply = next.lastMaintainerReply;
+  if (nextReply && nextReply.id !== prevReply) {
+    changes.push(`💬 New maintainer reply from @${nextReply.login}`);
+  }
+
+  if (prev.state === 'open' && next.state === 'closed') changes.push('🔒 Issue was closed');
+  return changes;
+}
+
+async function pollWatchlist() {
+  const watchlist = await getWatchlist();
+  const keys = Object.keys(watchlist);
+  if (keys.length === 0) return;
+
+  for (const key of keys) {
+    const entry = watchlist[key];
+    try {
+      const snapshot = await snapshotIssue(entry, await getAuthFor(entry.host, entry.owner));
+      const changes = describeChanges(entry.snapshot, snapshot);
+      if (changes.length > 0) {
+        chrome.notifications.create(`${entry.url}|${Date.now()}`, {
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: watchKey(entry),
+          message: changes.join('\n'),
+          contextMessage: snapshot.title || ''
+        });
+      }
+      entry.snapshot = snapshot;
+    } catch (e) {
+      // Rate limits and network errors are retried on the next alarm
+      console.warn(`Issue Radar: watch poll failed for ${key}:`, e.message);
+      if (e.message.startsWith('Rate limited')) break;
+    }
+  }
+
+  // Merge so watches added or removed mid-poll aren't clobbered
+  const latest = await getWatchlist();
+  keys.forEach(key => { if (latest[key]) latest[key].snapshot = watchlist[key].snapshot; });
+  await chrome.storage.local.set({ watchlist: latest });
 }
@@ -0,0 +1,161 @@
+/**
+ * GitHub Issue Radar — claims.js
+ * Claim rules and lifecycle shared by the content script and the service worker
+ *
+ * A claim is one contributor saying they'll take the issue. It ends up in one of three states:
+ *   'fresh'    – recent, or kept alive by assignment, follow-up comments, a linked PR or a maintainer's go-ahead
+ *   'stale'    – nothing from the claimer for longer than the stale threshold (STALE_CLAIM_HOURS by default)
+ *   'released' – the claimer backed out ("no longer working on this") or was unassigned
+ */
+
+const CLAIM_KEYWORDS = [
+  "i'm working on this", "i am working on this", "can i take this",
+  "i'll take this", "i will take this", "working on it", "/assign",
+  "taking this", "i can work on this", "let me work on this",
+  "i'll fix this", "i will fix this", "i'll tackle this"
+];
+
+const RELEASE_KEYWORDS = [
+  "unassigning myself", "unassign myself", "no longer working on this",
+  "not working on this anymore", "won't be able to work on this",
+  "feel free to take this", "someone else can take this", "dropping this",
+  "releasing this", "/unassign"
+];
+
+const GO_AHEAD_KEYWORDS = [
+  "go ahead", "go for it", "assigned to you", "it's yours", "all yours",
+  "feel free to work on", "sure, take it", "please do"
+];
+
+const STALE_CLAIM_HOURS = 72;
+const CLAIM_STATE_LABELS = { fresh: '🟡 Active', stale: '⚠️ Stale', released: '↩ Released' };
+const MAINTAINER_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+function findKeyword(text, keywords) {
+  const lower = (text || '').toLowerCase();
+  return keywords.find(kw => lower.includes(kw)) || null;
+}
+
+function findClaimKeyword(text, keywords = CLAIM_KEYWORDS) {
+  return findKeyword(text, keywords);
+}
+
+// REST timeline → [{ type: 'assigned' | 'unassigned', login, createdAt }]
+function assignmentEventsFromTimeline(events) {
+  return (events || [])
+    .filter(ev => (ev.event === 'assigned' || ev.event === 'unassigned') && ev.assignee)
+    .map(ev => ({ type: ev.event, login: ev.assignee.login, createdAt: ev.created_at }));
+}
+
+function hoursSince(date) {
+  return (Date.now() - new Date(date).getTime()) / 3600000;
+}
+
+function formatAge(date) {
+  const h = Math.floor(hoursSince(date));
+  return h < 24 ? `${h}h ago` : `${Math.floor(h / 24)}d ago`;
+}
+
+/**
+ * Replays comments, assignment events and linked PRs in order and returns one claim per claimer.
+ * context: { assignmentEvents, assignees (current logins), linkedPRs ({ number, user, state, createdAt, updatedAt }),
+ *            claimKeywords, staleClaimHours } — the last two come from the effective config in config.js
+ */
+function evaluateClaims(comments, {
+  assignmentEvents = [], assignees = [], linkedPRs = [],
+  claimKeywords = CLAIM_KEYWORDS, staleClaimHours = STALE_CLAIM_HOURS
+} = {}) {
+  const events = [];
+  (comments || []).forEach(c => events.push({ kind: 'comment', at: c.created_at, comment: c }));
+  assignmentEvents.forEach(ev => events.push({ kind: ev.type, at: ev.createdAt, login: ev.login }));
+  events.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  const open = new Map();   // claimer → claim still in play
+  const ended = [];
+
+  const touch = (claim, at, why) => {
+    if (new Date(at) >= new Date(claim.lastActivityAt)) {
+      claim.lastActivityAt = at;
+      claim.keptAliveBy = why;
+    }
+  };
+
+  events.forEach(ev => {
+    if (ev.kind === 'assigned') {
+      const claim = open.get(ev.login);
+      if (claim) touch(claim, ev.at, 'assigned');
+      return;
+    }
+    if (ev.kind === 'unassigned') {
+      const claim = open.get(ev.login);
+      if (claim) {
+        Object.assign(claim, { state: 'released', endedAt: ev.at, reason: `Unassigned ${formatAge(ev.at)}` });
+        open.delete(ev.login);
+        ended.push(claim);
+      }
+      return;
+    }
+
+    const c = ev.comment;
+    const author = c.user?.login || 'Someone';
+    const existing = open.get(author);
+
+    const release = existing && findKeyword(c.body, RELEASE_KEYWORDS);
+    if (release) {
+      Object.assign(existing, { state: 'released', endedAt: c.created_at, reason: `Released: “${release}”`, commentUrl: c.html_url });
+      open.delete(author);
+      ended.push(existing);
+      return;
+    }
+
+    const keyword = findClaimKeyword(c.body, claimKeywords);
+    if (keyword && !existing) {
+      open.set(author, {
+        claimer: author,
+        commentUrl: c.html_url,
+        claimedAt: c.created_at,
+        lastActivityAt: c.created_at,
+        keptAliveBy: null,
+        keyword
+      });
+      return;
+    }
+    if (existing) {
+      touch(existing, c.created_at, 'comment');
+      return;
+    }
+
+    // A maintainer's go-ahead applies to the claimer they @mention, else the latest open claim
+    if (MAINTAINER_ASSOCIATIONS.includes(c.author_association) && findKeyword(c.body, GO_AHEAD_KEYWORDS)) {
+      const mentioned = [...open.keys()].find(login => (c.body || '').includes(`@${login}`));
+      const target = mentioned ? open.get(mentioned) : [...open.values()].pop();
+      if (target) touch(target, c.created_at, 'go-ahead');
+    }
+  });
+
+  const active = [...open.values()].map(claim => {
+    const prs = linkedPRs.filter(pr => pr.user === claim.claimer && new Date(pr.createdAt) >= new Date(claim.claimedAt));
+    const openPR = prs.find(pr => pr.state === 'open');
+    prs.forEach(pr => touch(claim, pr.updatedAt || pr.createdAt, `pr:${pr.number}`));
+
+    const assigned = assignees.includes(claim.claimer);
+    const idleHours = hoursSince(claim.lastActivityAt);
+
+    if (openPR) return { ...claim, state: 'fresh', reason: `Open PR #${openPR.number} by the claimer` };
+    if (assigned) return { ...claim, state: 'fresh', reason: `Assigned to @${claim.claimer}` };
+    if (idleHours <= staleClaimHours) {
+      const why = claim.keptAliveBy;
+      let reason = `Claimed ${formatAge(claim.claimedAt)}`;
+      if (why === 'comment') reason = `Follow-up comment ${formatAge(claim.lastActivityAt)}`;
+      else if (why === 'go-ahead') reason = `Maintainer said go ahead ${formatAge(claim.lastActivityAt)}`;
+      else if (why === 'assigned') reason = `Assigned ${formatAge(claim.lastActivityAt)}`;
+      else if (why?.startsWith('pr:')) reason = `PR #${why.slice(3)} updated ${formatAge(claim.lastActivityAt)}`;
+      return { ...claim, state: 'fresh', reason };
+    }
+    return { ...claim, state: 'stale', reason: `No activity from @${claim.claimer} since ${formatAge(claim.lastActivityAt)}` };
+  });
+
+  return [...active, ...ended]
+    .map(claim => ({ ...claim, ageHours: Math.floor(hoursSince(claim.claimedAt)), isStale: claim.state === 'stale' }))
+    .sort((a, b) => new Date(b.claimedAt) - new Date(a.claimedAt));
+}
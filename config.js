@@ -0,0 +1,53 @@
+/**
+ * GitHub Issue Radar — config.js
+ * Scan settings edited on the options page, with per-repository overrides.
+ * Shared by the content script, the service worker and options.js; load after claims.js
+ * and difficulty-profile.js.
+ *
+ * Stored in chrome.storage.sync under `radar_config`:
+ *   { global: { claimKeywords, staleClaimHours, cacheTtlMinutes, max…Pages },
+ *     repos:  { 'owner/repo': { …any subset of the global fields, difficulty } } }
+ * `difficulty` is a per-repository scoring profile (see resolveDifficultyProfile).
+ */
+
+const DEFAULT_CACHE_TTL_MINUTES = 10;
+
+const DEFAULT_RADAR_CONFIG = {
+  claimKeywords: CLAIM_KEYWORDS,
+  staleClaimHours: STALE_CLAIM_HOURS,
+  cacheTtlMinutes: DEFAULT_CACHE_TTL_MINUTES,
+  // Page caps for list endpoints (100 items per page); scanners flag results cut off by a cap
+  maxCommentPages: 10,
+  maxTimelinePages: 5,
+  maxForkPages: 1,
+  maxBranchPages: 1
+};
+
+function repoConfigKey(owner, repo) {
+  return `${owner}/${repo}`.toLowerCase();
+}
+
+async function getStoredRadarConfig() {
+  const result = await chrome.storage.sync.get('radar_config');
+  const stored = result.radar_config || {};
+  return { global: stored.global || {}, repos: stored.repos || {} };
+}
+
+// Defaults ← global settings ← repo override; a field left unset falls through to the level below
+function resolveRadarConfig(stored, owner, repo) {
+  const override = (owner && repo && stored.repos[repoConfigKey(owner, repo)]) || {};
+  const effective = { ...DEFAULT_RADAR_CONFIG };
+  [stored.global, override].forEach(layer => {
+    Object.keys(DEFAULT_RADAR_CONFIG).forEach(key => {
+      if (layer[key] !== undefined && layer[key] !== null) effective[key] = layer[key];
+    });
+  });
+  effective.claimKeywords = effective.claimKeywords.map(kw => kw.toLowerCase());
+  effective.difficulty = resolveDifficultyProfile(override.difficulty, repoConfigKey(owner, repo));
+  effective.source = Object.keys(override).length > 0 ? repoConfigKey(owner, repo) : 'global';
+  return effective;
+}
+
+async function getRadarConfig(owner, repo) {
+  return resolveRadarConfig(await getStoredRadarConfig(), owner, repo);
+}
@@ -3,15 +3,10 @@
  * Main orchestrator: banner + sidebar analytics
  */
 
-const CLAIM_KEYWORDS = [
-  "i'm working on this", "i am working on this", "can i take this",
-  "i'll take this", "i will take this", "working on it", "/assign",
-  "taking this", "i can work on this", "let me work on this",
-  "i'll fix this", "i will fix this", "i'll tackle this"
-];
+// Claim keywords, stale threshold and cache TTL come from config.js (options page, per-repo overrides)
 
-const STALE_CLAIM_HOURS = 72;
-const CACHE_TTL = 1000 * 60 * 10;
+// Mirrors the toggles in popup.html; a missing key means the feature is on
+const DEFAULT_FEATURES = { pr: true, claims: true, momentum: true, forks: true, workload: true };
 
 // ─── Utility ─────────────────────────────────────────────────────────────────
 
@@ -20,56 +15,130 @@ function timeAgo(date) {
   const hours = Math.floor(diff / 3600000);
   const days = Math.floor(diff / 86400000);
   if (hours < 24) return `${hours}h ago`;
-  return `${days}d ago`;
+  if (days < 60) return `${days}d ago`;
+  if (days < 730) return `${Math.floor(days / 30)} months ago`;
+  return `${Math.floor(days / 365)} years ago`;
 }
 
 function hoursAgo(date) {
   return (Date.now() - new Date(date).getTime()) / 3600000;
 }
 
-async function getCache(key) {
+// github.com or a registered Enterprise host (hosts.js)
+const API_BASE = apiBaseFor(location.host);
+
+// Effective repo config for the current scan (cache TTL, page caps); the service worker owns the cache
+let scanConfig = DEFAULT_RADAR_CONFIG;
+
+// Lists cut off by a page cap during the current scan ('comments', 'timeline', 'forks', 'branches')
+const cappedLists = new Set();
+const CAPPED_LIST_LABELS = { comments: 'comments', timeline: 'timeline events', forks: 'forks', branches: 'fork branches' };
+
+async function getFeatures() {
   return new Promise(resolve => {
-    chrome.storage.local.get(key, result => {
-      const entry = result[key];
-      if (entry && Date.now() - entry.timestamp < CACHE_TTL) resolve(entry.data);
-      else resolve(null);
+    chrome.storage.sync.get('features', result => {
+      const saved = result.features || {};
+      const features = {};
+      Object.keys(DEFAULT_FEATURES).forEach(k => { features[k] = saved[k] !== false; });
+      resolve(features);
     });
   });
 }
 
-async function setCache(key, data) {
+async function isWatched(issueRef) {
   return new Promise(resolve => {
-    chrome.storage.local.set({ [key]: { data, timestamp: Date.now() } }, resolve);
+    chrome.storage.local.get('watchlist', result => {
+      resolve(!!(result.watchlist || {})[watchKey(issueRef)]);
+    });
   });
 }
 
-async function getPAT() {
-  return new Promise(resolve => {
-    chrome.storage.sync.get('github_pat', result => resolve(result.github_pat || null));
+// Responses may come from the worker's cache; a stale one is refreshed there and announced with CACHE_UPDATED.
+// The worker also picks the token profile for this host and repo owner, so no token passes through the page.
+function sendToWorker(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({
+      host: location.host,
+      owner: location.pathname.split('/')[1],
+      ...message,
+      ttlMinutes: scanConfig.cacheTtlMinutes
+    }, response => {
+      if (response?.success) resolve(response);
+      else reject(new Error(response?.error || chrome.runtime.lastError?.message || 'No response'));
+    });
   });
 }
 
-async function githubAPI(url) {
-  const pat = await getPAT();
-  const cacheKey = `cache_${url}`;
-  const cached = await getCache(cacheKey);
-  if (cached) return cached;
+// priority: 'high' for banner data, 'normal' for extras, 'low' for scans the budget can skip (see api-client.js).
+// maxPages > 1 follows Link rel="next" and concatenates the pages; hitting the cap marks `cappedAs` in cappedLists.
+async function githubAPI(url, priority = 'high', { maxPages = 1, cappedAs = null } = {}) {
+  const response = await sendToWorker({ type: 'FETCH_GITHUB', url, priority, maxPages });
+  if (response.capped && cappedAs) cappedLists.add(cappedAs);
+  return response.data;
+}
 
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ type: 'FETCH_GITHUB', url, pat }, response => {
-      if (response.success) {
-        setCache(cacheKey, response.data);
-        resolve(response.data);
-      } else {
-        reject(new Error(response.error));
-      }
-    });
+async function hasToken() {
+  try {
+    return (await sendToWorker({ type: 'HAS_TOKEN' })).data.hasToken;
+  } catch (_) {
+    return false;
+  }
+}
+
+function fetchTimeline(owner, repo, issueNumber) {
+  return githubAPI(`${API_BASE}/repos/${owner}/${repo}/issues/${issueNumber}/timeline?per_page=100`, 'high', {
+    maxPages: scanConfig.maxTimelinePages, cappedAs: 'timeline'
   });
 }
 
+// Unified issue data for every scanner: one GraphQL query with a PAT, REST otherwise.
+// `linkedPRs`, `prAttempts`, `assignmentEvents`, `labelEvents` and `activityEvents` are null on the REST
+// path, which tells the scanners to read the timeline themselves.
+async function fetchIssueBundle(owner, repo, issueNumber, { withComments = true } = {}) {
+  const maxCommentPages = scanConfig.maxCommentPages;
+  if (await hasToken()) {
+    try {
+      const { data } = await sendToWorker({
+        type: 'FETCH_ISSUE_BUNDLE', owner, repo, number: issueNumber, maxCommentPages
+      });
+      Object.entries(data.capped || {}).forEach(([list, capped]) => { if (capped) cappedLists.add(list); });
+      return data;
+    } catch (e) {
+      console.warn('OSS Traffic: GraphQL bundle failed, falling back to REST:', e.message);
+    }
+  }
+
+  const base = `${API_BASE}/repos/${owner}/${repo}/issues/${issueNumber}`;
+  const [issue, comments] = await Promise.all([
+    githubAPI(base),
+    withComments ? githubAPI(`${base}/comments?per_page=100`, 'high', { maxPages: maxCommentPages, cappedAs: 'comments' }) : []
+  ]);
+  return { source: 'rest', issue, comments, linkedPRs: null, prAttempts: null, assignmentEvents: null, labelEvents: null, activityEvents: null };
+}
+
 // ─── Feature 1: PR Detection ──────────────────────────────────────────────────
 
-async function detectPRs(owner, repo, issueNumber) {
+// REST timeline entries don't carry commit messages, so the PRs that only mention the issue get their
+// commits checked for a closing keyword (most recently updated first)
+const COMMIT_CHECK_PR_LIMIT = 5;
+
+async function timelinePRs(owner, repo, issueNumber, options = {}) {
+  const timeline = await fetchTimeline(owner, repo, issueNumber);
+  const mentions = linkedPRsFromTimeline(timeline, owner, repo, issueNumber, options)
+    .filter(pr => pr.linkType === 'mentions')
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .slice(0, COMMIT_CHECK_PR_LIMIT);
+  const commits = {};
+  await Promise.all(mentions.map(async pr => {
+    try {
+      commits[pr.number] = await githubAPI(`${API_BASE}/repos/${owner}/${repo}/pulls/${pr.number}/commits?per_page=100`, 'normal');
+    } catch (_) {}
+  }));
+  return linkedPRsFromTimeline(timeline, owner, repo, issueNumber, { ...options, commits });
+}
+
+async function detectPRs(owner, repo, issueNumber, bundle) {
+  // PRs in the Development section are linked by hand or by a closing keyword
   const sidebarPRs = [];
   const devSection = Array.from(document.querySelectorAll('.discussion-sidebar-item'))
     .find(el => el.innerText.includes('Development'));
@@ -81,39 +150,94 @@ async function detectPRs(owner, repo, issueNumber) {
         url: a.href, number: parseInt(num),
         title: a.innerText.trim(),
         isDraft: a.innerText.toLowerCase().includes('draft'),
+        linkType: 'manual',
         source: 'sidebar'
       });
     });
   }
 
   let apiPRs = [];
+  if (bundle?.linkedPRs) {
+    apiPRs = bundle.linkedPRs;
+  } else {
+    try {
+      apiPRs = await timelinePRs(owner, repo, issueNumber);
+    } catch (e) {
+      console.warn('OSS Traffic: PR timeline scan failed:', e.message);
+    }
+  }
+
+  // API data wins (richer fields), but a Development-section link upgrades a bare mention
+  const byNumber = new Map(apiPRs.map(p => [p.number, { ...p }]));
+  sidebarPRs.forEach(p => {
+    const existing = byNumber.get(p.number);
+    if (!existing) byNumber.set(p.number, p);
+    else if (existing.linkType === 'mentions') existing.linkType = 'manual';
+  });
+
+  // Targeting PRs first so the banner leads with the ones that matter
+  return [...byNumber.values()].sort((a, b) => isTargetingPR(b) - isTargetingPR(a));
+}
+
+// Closed and merged attempts that targeted the issue, classified by how each one ended
+const PR_HISTORY_DETAIL_LIMIT = 5;
+
+async function detectPRHistory(owner, repo, issueNumber, bundle) {
+  if (bundle?.prAttempts) return classifyAttempts(bundle.prAttempts);
+
   try {
-    const query = `is:pr is:open repo:${owner}/${repo} ${issueNumber} in:title,body`;
-    const data = await githubAPI(`https://api.github.com/search/issues?q=${encodeURIComponent(query)}&per_page=5`);
-    apiPRs = (data.items || []).map(item => ({
-      url: item.html_url, number: item.number, title: item.title,
-      isDraft: item.draft, user: item.user?.login,
-      createdAt: item.created_at, updatedAt: item.updated_at, source: 'api'
+    const attempts = (await timelinePRs(owner, repo, issueNumber, { includeClosed: true })).filter(isTargetingPR);
+
+    // REST timeline entries don't say who closed a PR; look that up for the most recent few
+    const closed = attempts
+      .filter(pr => pr.state === 'closed' && !pr.merged)
+      .sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt))
+      .slice(0, PR_HISTORY_DETAIL_LIMIT);
+    await Promise.all(closed.map(async pr => {
+      try {
+        const detail = await githubAPI(`${API_BASE}/repos/${owner}/${repo}/issues/${pr.number}`);
+        pr.closedBy = detail.closed_by?.login || null;
+      } catch (_) {}
     }));
+
+    return classifyAttempts(attempts);
   } catch (e) {
-    console.warn('OSS Traffic: PR API scan failed:', e.message);
+    console.warn('OSS Traffic: PR history scan failed:', e.message);
+    return [];
   }
-
-  const seen = new Set(sidebarPRs.map(p => p.number));
-  const all = [...sidebarPRs];
-  apiPRs.forEach(p => { if (!seen.has(p.number)) { all.push(p); seen.add(p.number); } });
-  return all;
 }
 
 // ─── Feature 2: Stale Claim Detection ────────────────────────────────────────
 
-function detectClaims() {
+async function getAssignmentEvents(owner, repo, issueNumber, bundle) {
+  if (bundle?.assignmentEvents) return bundle.assignmentEvents;
+  try {
+    const timeline = await fetchTimeline(owner, repo, issueNumber);
+    return assignmentEventsFromTimeline(timeline);
+  } catch (e) {
+    console.warn('OSS Traffic: Assignment timeline scan failed:', e.message);
+    return [];
+  }
+}
+
+// API comments see collapsed and not-yet-rendered comments; the DOM scan is only a fallback
+async function detectClaims(owner, repo, issueNumber, bundle, linkedPRs, config) {
+  if (!bundle) return detectClaimsFromDOM(config);
+  return evaluateClaims(bundle.comments, {
+    assignmentEvents: await getAssignmentEvents(owner, repo, issueNumber, bundle),
+    assignees: (bundle.issue.assignees || []).map(a => a.login),
+    linkedPRs,
+    claimKeywords: config.claimKeywords,
+    staleClaimHours: config.staleClaimHours
+  });
+}
+
+function detectClaimsFromDOM(config) {
   const results = [];
   document.querySelectorAll('.timeline-comment-group').forEach(group => {
     const body = group.querySelector('.timeline-comment-body');
     if (!body) return;
-    const text = body.innerText.toLowerCase();
-    const matchedKeyword = CLAIM_KEYWORDS.find(kw => text.includes(kw));
+    const matchedKeyword = findClaimKeyword(body.innerText, config.claimKeywords);
     if (!matchedKeyword) return;
 
     const timeEl = group.querySelector('relative-time');
@@ -123,12 +247,15 @@ function detectClaims() {
     if (!commentTime) return;
 
     const ageHours = hoursAgo(commentTime);
+    const isStale = ageHours > config.staleClaimHours;
     results.push({
       claimer: authorEl?.innerText?.trim() || 'Someone',
       commentUrl: linkEl?.href || window.location.href,
       claimedAt: commentTime.toISOString(),
       ageHours: Math.floor(ageHours),
-      isStale: ageHours > STALE_CLAIM_HOURS,
+      state: isStale ? 'stale' : 'fresh',
+      reason: `Claimed ${timeAgo(commentTime)} (page scan only)`,
+      isStale,
       keyword: matchedKeyword
     });
   });
@@ -138,130 +265,330 @@ function detectClaims() {
 
 // ─── Feature 3: Momentum Score ────────────────────────────────────────────────
 
-async function calcMomentumScore(owner, repo, issueNumber) {
+// calcMomentumScore lives in momentum.js (also used by the popup's issue finder)
+
+async function getLabelEvents(owner, repo, issueNumber, bundle) {
+  if (bundle?.labelEvents) return bundle.labelEvents;
   try {
-    const [issueData, commentsData] = await Promise.all([
-      githubAPI(`https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}`),
-      githubAPI(`https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/comments?per_page=100`)
-    ]);
+    const timeline = await fetchTimeline(owner, repo, issueNumber);
+    return labelEventsFromTimeline(timeline);
+  } catch (e) {
+    console.warn('OSS Traffic: Label timeline scan failed:', e.message);
+    return [];
+  }
+}
+
+// Timeline events for the sidebar's activity chart, plus reviews on the most recent linked PRs
+const ACTIVITY_REVIEW_PR_LIMIT = 3;
+
+async function getActivityEvents(owner, repo, issueNumber, bundle, linkedPRs) {
+  if (bundle?.activityEvents) return bundle.activityEvents;
+  try {
+    const timeline = await fetchTimeline(owner, repo, issueNumber);
+    const numbers = [...new Set(linkedPRs.map(pr => pr.number))].slice(0, ACTIVITY_REVIEW_PR_LIMIT);
+    const reviews = await Promise.all(numbers.map(number =>
+      githubAPI(`${API_BASE}/repos/${owner}/${repo}/pulls/${number}/reviews?per_page=100`, 'low').catch(() => [])
+    ));
+    return [
+      ...activityEventsFromTimeline(timeline),
+      ...reviews.flat().filter(r => r.submitted_at).map(r => ({ kind: 'review', createdAt: r.submitted_at }))
+    ];
+  } catch (e) {
+    console.warn('OSS Traffic: Activity timeline scan failed:', e.message);
+    return [];
+  }
+}
 
-    const daysSinceUpdate = (Date.now() - new Date(issueData.updated_at)) / 86400000;
-    const daysSinceOpen = (Date.now() - new Date(issueData.created_at)) / 86400000;
-    const commentCount = issueData.comments;
+// ─── Feature 4: Fork Activity Scanner ────────────────────────────────────────
 
-    const maintainerResponse = commentsData.find(c =>
-      c.author_association === 'OWNER' || c.author_association === 'MEMBER' || c.author_association === 'COLLABORATOR'
-    );
+const FORK_SCAN_LIMIT = 5;           // most recently pushed forks
+const FORK_COMPARE_LIMIT = 3;        // branches compared per fork
+const FORK_ACTIVE_DAYS = 30;
+const FORK_CONFIDENCE = { high: 60, medium: 35 };
+const TITLE_STOPWORDS = ['with', 'when', 'from', 'that', 'this', 'should', 'does', 'doesn', 'into', 'have', 'after', 'before', 'error', 'issue'];
 
-    let maintainerResponseDays = null;
-    if (maintainerResponse) {
-      maintainerResponseDays = (new Date(maintainerResponse.created_at) - new Date(issueData.created_at)) / 86400000;
-    }
+function significantWords(text) {
+  return [...new Set((text || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= 4 && !TITLE_STOPWORDS.includes(w)))];
+}
 
-    let score = 50;
-    if (daysSinceUpdate < 1) score += 25;
-    else if (daysSinceUpdate < 7) score += 15;
-    else if (daysSinceUpdate < 30) score += 5;
-    else if (daysSinceUpdate < 90) score -= 10;
-    else score -= 30;
-
-    if (commentCount > 10) score += 15;
-    else if (commentCount > 5) score += 8;
-    else if (commentCount > 1) score += 3;
-    else if (commentCount === 0) score -= 15;
-
-    if (maintainerResponseDays !== null) {
-      if (maintainerResponseDays < 1) score += 20;
-      else if (maintainerResponseDays < 7) score += 10;
-      else if (maintainerResponseDays >= 30) score -= 10;
-    } else {
-      score -= 15;
-    }
+// Most of the title's significant words, or the whole title, appear in the message
+function mentionsTitle(message, titleWords) {
+  if (titleWords.length < 3) return false;
+  const words = new Set(significantWords(message));
+  return titleWords.filter(w => words.has(w)).length / titleWords.length >= 0.6;
+}
 
-    score = Math.max(0, Math.min(100, score));
-
-    return {
-      score, issueData, commentsData,
-      label: score >= 70 ? 'Active' : score >= 40 ? 'Slow' : 'Stalled',
-      color: score >= 70 ? '#2ea44f' : score >= 40 ? '#d29922' : '#cf222e',
-      daysSinceUpdate: Math.floor(daysSinceUpdate),
-      daysSinceOpen: Math.floor(daysSinceOpen),
-      commentCount,
-      maintainerResponseDays: maintainerResponseDays !== null ? Math.floor(maintainerResponseDays) : null,
-      lastActivity: issueData.updated_at,
-      labels: issueData.labels?.map(l => l.name) || [],
-      assignees: issueData.assignees?.map(a => a.login) || []
-    };
-  } catch (e) {
-    console.warn('OSS Traffic: Momentum failed:', e.message);
+// "issue-12", "fix/12", "gh_12", "#12", "12-widgets" or "feature/12-widgets". A bare number inside a word
+// ("v2-update", "python3") doesn't count: for single-digit issues that would match half the branches.
+const BRANCH_ISSUE_PREFIXES = ['issue', 'issues', 'fix', 'fixes', 'bug', 'bugfix', 'hotfix', 'gh', 'closes', 'resolves'];
+
+function branchNamesIssue(branchName, issueNumber) {
+  const prefixed = `(^|[/_-])(?:(?:${BRANCH_ISSUE_PREFIXES.join('|')})[/_-]?|#)${issueNumber}(?![0-9])`;
+  const leading = `(^|/)${issueNumber}([/_-]|$)`;
+  return new RegExp(`${prefixed}|${leading}`, 'i').test(branchName);
+}
+
+// Branches worth a compare call: ones named after the issue or its title first, then the fork's default branch
+function candidateBranches(branches, fork, issueNumber, titleWords) {
+  const rank = b => {
+    if (branchNamesIssue(b.name, issueNumber)) return 0;
+    if (titleWords.some(w => b.name.toLowerCase().includes(w))) return 1;
+    if (b.name === fork.default_branch) return 2;
     return null;
-  }
+  };
+  return branches
+    .map(b => ({ name: b.name, rank: rank(b) }))
+    .filter(b => b.rank !== null)
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, FORK_COMPARE_LIMIT);
 }
 
-// ─── Feature 4: Fork Activity Scanner ────────────────────────────────────────
+function scoreForkMatch(comparison, branchName, fork, owner, repo, issueNumber, titleWords) {
+  const refPattern = new RegExp(`(^|[^\\w/])(${escapeRegExp(owner)}/${escapeRegExp(repo)})?#${issueNumber}\\b|/issues/${issueNumber}\\b`, 'i');
+  const commits = [...(comparison.commits || [])].reverse(); // newest first
+  const byRef = commits.find(c => refPattern.test(c.commit.message));
+  const byTitle = !byRef && commits.find(c => mentionsTitle(c.commit.message, titleWords));
+  const commit = byRef || byTitle || null;
+
+  let score = 0;
+  const reasons = [];
+  if (byRef) { score += 60; reasons.push(`commit references #${issueNumber}`); }
+  if (byTitle) { score += 30; reasons.push('commit message matches the title'); }
+  // Even freshly pushed, a branch name alone stays below medium; it needs a commit to back it up
+  if (branchNamesIssue(branchName, issueNumber)) { score += 20; reasons.push('branch named after the issue'); }
+  if (score === 0) return null;
+  if (hoursAgo(fork.pushed_at) / 24 < 7) score += 10;
+
+  return {
+    forkUrl: fork.html_url,
+    owner: fork.owner.login,
+    branchName,
+    pushedAt: fork.pushed_at,
+    aheadBy: comparison.ahead_by,
+    behindBy: comparison.behind_by,
+    compareUrl: comparison.html_url,
+    commit: commit ? { message: commit.commit.message.split('\n')[0], url: commit.html_url } : null,
+    score,
+    confidence: score >= FORK_CONFIDENCE.high ? 'high' : score >= FORK_CONFIDENCE.medium ? 'medium' : 'low',
+    reasons
+  };
+}
 
-async function scanForkActivity(owner, repo, issueNumber) {
+// Compares recently pushed fork branches with upstream and keeps the ones whose commits point at this issue
+async function scanForkActivity(owner, repo, issueNumber, issueData) {
   try {
-    const forks = await githubAPI(`https://api.github.com/repos/${owner}/${repo}/forks?sort=newest&per_page=10`);
-    const activeForks = forks.filter(f => hoursAgo(f.pushed_at) / 24 < 30 && f.pushed_at !== f.created_at);
-    const forkMatches = [];
+    const [upstream, forks] = await Promise.all([
+      githubAPI(`${API_BASE}/repos/${owner}/${repo}`, 'low'),
+      githubAPI(`${API_BASE}/repos/${owner}/${repo}/forks?sort=newest&per_page=100`, 'low', {
+        maxPages: scanConfig.maxForkPages, cappedAs: 'forks'
+      })
+    ]);
+    const titleWords = significantWords(issueData?.title);
+    const activeForks = forks
+      .filter(f => hoursAgo(f.pushed_at) / 24 < FORK_ACTIVE_DAYS && f.pushed_at !== f.created_at)
+      .sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at))
+      .slice(0, FORK_SCAN_LIMIT);
 
-    for (const fork of activeForks.slice(0, 5)) {
+    const forkMatches = [];
+    for (const fork of activeForks) {
       try {
-        const branches = await githubAPI(`https://api.github.com/repos/${fork.full_name}/branches?per_page=20`);
-        const match = branches.find(b =>
-          b.name.includes(issueNumber) ||
-          b.name.toLowerCase().includes('fix') ||
-          b.name.toLowerCase().includes('feature')
-        );
-        if (match) forkMatches.push({ forkUrl: fork.html_url, owner: fork.owner.login, branchName: match.name, pushedAt: fork.pushed_at });
+        const branches = await githubAPI(`${API_BASE}/repos/${fork.full_name}/branches?per_page=100`, 'low', {
+          maxPages: scanConfig.maxBranchPages, cappedAs: 'branches'
+        });
+        const matches = [];
+        for (const branch of candidateBranches(branches, fork, issueNumber, titleWords)) {
+          try {
+            const comparison = await githubAPI(
+              `${API_BASE}/repos/${owner}/${repo}/compare/${encodeURIComponent(upstream.default_branch)}...${fork.owner.login}:${encodeURIComponent(branch.name)}`,
+              'low'
+            );
+            if (comparison.ahead_by === 0) continue;
+            const match = scoreForkMatch(comparison, branch.name, fork, owner, repo, issueNumber, titleWords);
+            if (match) matches.push(match);
+          } catch (_) {}
+        }
+        // One card per fork: its most convincing branch
+        matches.sort((a, b) => b.score - a.score);
+        if (matches[0]) forkMatches.push(matches[0]);
       } catch (_) {}
     }
-    return forkMatches;
-  } catch (e) { return []; }
+    return forkMatches.sort((a, b) => b.score - a.score);
+  } catch (e) {
+    console.warn('OSS Traffic: Fork scan failed:', e.message);
+    return [];
+  }
 }
 
 // ─── Feature 5: Contributor Workload ─────────────────────────────────────────
 
-async function checkContributorWorkload(owner, repo, issueNumber) {
+const OVERLOADED_OPEN_PRS = 8;
+const OVERLOADED_ASSIGNED_ISSUES = 15;
+const DORMANT_ASSIGNMENT_DAYS = 30;  // assigned, then nothing from the assignee on this issue
+const INACTIVE_ASSIGNEE_DAYS = 30;   // no public GitHub activity at all
+
+async function searchCount(query) {
   try {
-    const issueData = await githubAPI(`https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}`);
-    const assignees = issueData.assignees || [];
+    const d = await githubAPI(`${API_BASE}/search/issues?q=${query}&per_page=1`, 'normal');
+    return d.total_count;
+  } catch (_) { return null; }
+}
+
+// The public events feed only reaches back 90 days, so an empty feed means "nothing in 90 days"
+async function lastPublicActivity(login) {
+  try {
+    const events = await githubAPI(`${API_BASE}/users/${login}/events/public?per_page=1`, 'normal');
+    return { checked: true, at: events[0]?.created_at || null };
+  } catch (_) { return { checked: false, at: null }; }
+}
+
+async function checkContributorWorkload(owner, repo, issueNumber, bundle, linkedPRs) {
+  try {
+    const assignees = bundle.issue.assignees || [];
     if (assignees.length === 0) return null;
+    const assignmentEvents = await getAssignmentEvents(owner, repo, issueNumber, bundle);
 
     return await Promise.all(assignees.map(async a => {
-      try {
-        const d = await githubAPI(`https://api.github.com/search/issues?q=is:pr+is:open+author:${a.login}&per_page=1`);
-        return { login: a.login, avatarUrl: a.avatar_url, openPRCount: d.total_count, overloaded: d.total_count > 8 };
-      } catch (_) { return { login: a.login, openPRCount: null, overloaded: false }; }
+      // The GraphQL bundle already carries the open PR count; REST needs a search
+      const [openPRCount, openIssueCount, activity] = await Promise.all([
+        a.open_pr_count ?? searchCount(`is:pr+is:open+author:${a.login}`),
+        searchCount(`is:issue+is:open+assignee:${a.login}`),
+        lastPublicActivity(a.login)
+      ]);
+
+      const assignedAt = assignmentEvents.filter(ev => ev.type === 'assigned' && ev.login === a.login).pop()?.createdAt || null;
+      const lastIssueActivityAt = [
+        ...bundle.comments.filter(c => c.user?.login === a.login).map(c => c.created_at),
+        ...linkedPRs.filter(pr => pr.user === a.login).map(pr => pr.updatedAt || pr.createdAt)
+      ].filter(Boolean).sort().pop() || null;
+
+      const quietSince = [assignedAt, lastIssueActivityAt].filter(Boolean).sort().pop();
+      const dormant = !!quietSince && hoursAgo(quietSince) / 24 >= DORMANT_ASSIGNMENT_DAYS;
+      const inactive = activity.checked && (!activity.at || hoursAgo(activity.at) / 24 >= INACTIVE_ASSIGNEE_DAYS);
+      const overloaded = openPRCount > OVERLOADED_OPEN_PRS || openIssueCount > OVERLOADED_ASSIGNED_ISSUES;
+
+      const warnings = [];
+      if (dormant) {
+        const since = lastIssueActivityAt && lastIssueActivityAt > (assignedAt || '')
+          ? `last active here ${timeAgo(lastIssueActivityAt)}`
+          : 'no activity since';
+        warnings.push(assignedAt ? `@${a.login} assigned ${timeAgo(assignedAt)}, ${since}` : `@${a.login} ${since.replace('here', 'on this issue')}`);
+      }
+      if (inactive) {
+        warnings.push(activity.at ? `@${a.login} last active on GitHub ${timeAgo(activity.at)}` : `@${a.login} has no public GitHub activity in 90 days`);
+      }
+      if (overloaded) {
+        warnings.push(`@${a.login} has ${openPRCount ?? '?'} open PRs and ${openIssueCount ?? '?'} assigned issues`);
+      }
+
+      return {
+        login: a.login, avatarUrl: a.avatar_url, openPRCount, openIssueCount,
+        lastActivityAt: activity.at, assignedAt, lastIssueActivityAt,
+        dormant, inactive, overloaded, warnings
+      };
     }));
-  } catch (_) { return null; }
+  } catch (e) {
+    console.warn('OSS Traffic: Workload check failed:', e.message);
+    return null;
+  }
+}
+
+// ─── Status ───────────────────────────────────────────────────────────────────
+
+// computeStatus, statusHeadline and listRowReason live in status.js
+
+// ─── Issue List Overlay ───────────────────────────────────────────────────────
+
+// Comment fetches are the only per-row API cost; cap them so a page of 25 fits the budget
+const LIST_CLAIM_SCAN_LIMIT = { withPAT: 25, withoutPAT: 8 };
+const LIST_BATCH_SIZE = 5;
+
+async function mapInBatches(items, size, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += size) {
+    results.push(...await Promise.all(items.slice(i, i + size).map(fn)));
+  }
+  return results;
+}
+
+function findIssueRows(owner, repo) {
+  const hrefPattern = new RegExp(`^/${owner}/${repo}/issues/(\\d+)/?$`, 'i');
+  const rows = new Map();
+  const links = document.querySelectorAll(
+    'a[data-hovercard-type="issue"], a[data-testid="issue-pr-title-link"], .js-issue-row a.Link--primary'
+  );
+  links.forEach(a => {
+    const num = new URL(a.href, location.origin).pathname.match(hrefPattern)?.[1];
+    if (!num || rows.has(num)) return;
+    const row = a.closest('.js-issue-row, [role="listitem"], li');
+    if (row) rows.set(num, { number: parseInt(num), row, link: a });
+  });
+  return [...rows.values()];
+}
+
+function buildRowBadge(status, difficulty, reason) {
+  const badge = document.createElement('span');
+  badge.className = 'oss-tc-row-badge';
+  badge.title = reason;
+  badge.innerHTML = `<span class="oss-tc-row-dot ${status}"></span>` +
+    (difficulty ? `<span class="oss-tc-row-diff" style="color:${difficulty.color};border-color:${difficulty.color}40">${difficulty.emoji} ${difficulty.label}</span>` : '');
+  return badge;
+}
+
+async function initIssueList(owner, repo) {
+  document.querySelectorAll('.oss-tc-row-badge').forEach(el => el.remove());
+  const rows = findIssueRows(owner, repo);
+  if (rows.length === 0) return;
+  console.log(`GitHub Issue Radar v2.1: Overlaying ${rows.length} issues in ${owner}/${repo}`);
+
+  const [features, withToken, config] = await Promise.all([getFeatures(), hasToken(), getRadarConfig(owner, repo)]);
+  scanConfig = config;
+  const base = `${API_BASE}/repos/${owner}/${repo}`;
+
+  const [listed, pulls] = await Promise.all([
+    githubAPI(`${base}/issues?state=open&sort=created&direction=desc&per_page=100`, 'normal').catch(() => []),
+    features.pr ? githubAPI(`${base}/pulls?state=open&per_page=100`, 'normal').catch(() => []) : []
+  ]);
+  const issuesByNumber = new Map(listed.map(i => [i.number, i]));
+
+  let claimBudget = withToken ? LIST_CLAIM_SCAN_LIMIT.withPAT : LIST_CLAIM_SCAN_LIMIT.withoutPAT;
+
+  await mapInBatches(rows, LIST_BATCH_SIZE, async ({ number, row, link }) => {
+    let issue = issuesByNumber.get(number);
+    if (!issue) issue = await githubAPI(`${base}/issues/${number}`, 'normal').catch(() => null);
+
+    const prs = features.pr ? matchPRsToIssue(pulls, owner, repo, number) : [];
+
+    let claims = [];
+    let claimsChecked = !features.claims || !issue || issue.comments === 0;
+    if (!claimsChecked && !prs.some(isTargetingPR) && claimBudget > 0) {
+      claimBudget--;
+      try {
+        const comments = await githubAPI(`${base}/issues/${number}/comments?per_page=100`, 'normal');
+        claims = evaluateClaims(comments, {
+          assignees: (issue.assignees || []).map(a => a.login),
+          claimKeywords: config.claimKeywords,
+          staleClaimHours: config.staleClaimHours
+        });
+        claimsChecked = true;
+      } catch (_) {}
+    }
+
+    const status = computeStatus(prs, claims, []);
+    const difficulty = issue ? calcDifficultyScore(issue, [], [], config.difficulty) : null;
+
+    row.querySelector('.oss-tc-row-badge')?.remove();
+    link.insertAdjacentElement('afterend', buildRowBadge(status, difficulty, listRowReason(status, prs, claims, claimsChecked)));
+  });
 }
 
 // ─── Banner Builder ───────────────────────────────────────────────────────────
 
 function buildBanner(status, data) {
-  const { prs, claims, momentum, difficulty } = data;
+  const { prs, claims, momentum, difficulty, workloads } = data;
   const banner = document.createElement('div');
   banner.id = 'oss-tc-banner';
 
-  let headerIcon, headerText, headerSub;
-  if (status === 'red') {
-    headerIcon = '🛑'; headerText = `${prs.length} Active PR${prs.length > 1 ? 's' : ''} Found`;
-    headerSub = 'Someone is already working on this issue';
-  } else if (status === 'yellow') {
-    const fresh = claims.filter(c => !c.isStale);
-    if (fresh.length > 0) {
-      headerIcon = '⚠️'; headerText = `${fresh[0].claimer} recently claimed this`;
-      headerSub = `${timeAgo(fresh[0].claimedAt)} · Reach out before starting`;
-    } else {
-      headerIcon = '🟡'; headerText = `Possible stale claim detected`;
-      headerSub = `Someone claimed this but may have abandoned it`;
-    }
-  } else {
-    headerIcon = '✅'; headerText = 'Clear to Contribute';
-    headerSub = 'No active PRs or recent claims detected';
-  }
+  const { icon: headerIcon, text: headerText, sub: headerSub } = statusHeadline(status, data);
 
   // Difficulty pill for banner
   const diffPill = difficulty
@@ -271,18 +598,28 @@ function buildBanner(status, data) {
   let sectionsHtml = '';
   if (prs.length > 0) {
     sectionsHtml += `<div class="oss-tc-section"><div class="oss-tc-section-label">PULL REQUESTS</div><div class="oss-tc-pr-list">` +
-      prs.map(pr => `<a href="${pr.url}" target="_blank" class="oss-tc-pr-link"><span class="oss-tc-pr-badge ${pr.isDraft ? 'draft' : 'open'}">${pr.isDraft ? 'Draft' : 'Open'}</span> PR #${pr.number}${pr.title ? ` · ${pr.title.slice(0, 45)}${pr.title.length > 45 ? '…' : ''}` : ''}</a>`).join('') +
+      prs.map(pr => `<a href="${safeHref(pr.url)}" target="_blank" class="oss-tc-pr-link"><span class="oss-tc-pr-badge ${pr.isDraft ? 'draft' : 'open'}">${pr.isDraft ? 'Draft' : 'Open'}</span><span class="oss-tc-link-type ${pr.linkType}">${PR_LINK_LABELS[pr.linkType]}</span> PR #${pr.number}${pr.title ? ` · ${escapeHTML(pr.title.slice(0, 45))}${pr.title.length > 45 ? '…' : ''}` : ''}</a>`).join('') +
       `</div></div>`;
   }
   if (claims.length > 0) {
     sectionsHtml += `<div class="oss-tc-section"><div class="oss-tc-section-label">CLAIMS</div>` +
-      claims.slice(0, 3).map(c => `<div class="oss-tc-claim ${c.isStale ? 'stale' : 'fresh'}"><span class="oss-tc-claim-dot"></span><a href="${c.commentUrl}" target="_blank">@${c.claimer}</a><span class="oss-tc-meta">${c.isStale ? '⚠️ Stale · ' : ''}${timeAgo(c.claimedAt)}</span></div>`).join('') +
+      claims.slice(0, 3).map(c => `<div class="oss-tc-claim ${c.state}"><span class="oss-tc-claim-dot"></span><a href="${safeHref(c.commentUrl)}" target="_blank">@${escapeHTML(c.claimer)}</a><span class="oss-tc-meta">${CLAIM_STATE_LABELS[c.state]} · ${escapeHTML(c.reason)}</span></div>`).join('') +
+      `</div>`;
+  }
+  const flagged = (workloads || []).filter(w => w.warnings.length > 0);
+  if (flagged.length > 0) {
+    sectionsHtml += `<div class="oss-tc-section"><div class="oss-tc-section-label">ASSIGNEES</div>` +
+      flagged.flatMap(w => w.warnings).map(text => `<div class="oss-tc-assignee-warn">⚠️ ${escapeHTML(text)}</div>`).join('') +
       `</div>`;
   }
   if (momentum) {
     sectionsHtml += `<div class="oss-tc-section"><div class="oss-tc-section-label">MOMENTUM</div><div class="oss-tc-momentum"><div class="oss-tc-momentum-bar-wrap"><div class="oss-tc-momentum-bar" style="width:${momentum.score}%;background:${momentum.color}"></div></div><span class="oss-tc-momentum-label" style="color:${momentum.color}">${momentum.label} · ${momentum.score}/100</span></div></div>`;
   }
 
+  if (data.capped?.length > 0) {
+    sectionsHtml += `<div class="oss-tc-capped">ⓘ Partial data: some ${data.capped.join(', ')} were past the page caps and not read. Raise the caps on the options page.</div>`;
+  }
+
   banner.innerHTML = `
     <div class="oss-tc-header ${status}">
       <div class="oss-tc-traffic-light">
@@ -291,10 +628,11 @@ function buildBanner(status, data) {
         <div class="oss-tc-light green ${status === 'green' ? 'on' : ''}"></div>
       </div>
       <div class="oss-tc-header-text">
-        <div class="oss-tc-header-title">${headerIcon} ${headerText}</div>
-        <div class="oss-tc-header-sub">${headerSub}</div>
+        <div class="oss-tc-header-title">${headerIcon} ${escapeHTML(headerText)}</div>
+        <div class="oss-tc-header-sub">${escapeHTML(headerSub)}</div>
         ${diffPill}
       </div>
+      <button class="oss-tc-watch-btn ${data.watched ? 'watching' : ''}" id="oss-tc-watch" title="Get a desktop notification when this issue's status changes">${data.watched ? '✓ Watching' : '👁 Watch'}</button>
       <button class="oss-tc-analytics-btn" id="oss-tc-open-sidebar">📊 Analytics</button>
       <button class="oss-tc-toggle" id="oss-tc-details-toggle">▾</button>
     </div>
@@ -341,11 +679,35 @@ async function injectBanner(status, data) {
     }
   }
   banner.querySelector('#oss-tc-open-sidebar')?.addEventListener('click', () => toggleSidebar(data));
+  banner.querySelector('#oss-tc-watch')?.addEventListener('click', e => toggleWatch(e.currentTarget, data));
+}
+
+function toggleWatch(btn, data) {
+  const type = data.watched ? 'UNWATCH_ISSUE' : 'WATCH_ISSUE';
+  btn.disabled = true;
+  chrome.runtime.sendMessage({ type, issue: data.issueRef }, response => {
+    btn.disabled = false;
+    if (!response?.success) {
+      console.warn('OSS Traffic: watch toggle failed:', response?.error);
+      btn.textContent = '⚠️ Retry';
+      return;
+    }
+    data.watched = !data.watched;
+    btn.classList.toggle('watching', data.watched);
+    btn.textContent = data.watched ? '✓ Watching' : '👁 Watch';
+  });
 }
 
 // ─── Sidebar Integration ──────────────────────────────────────────────────────
 
 let sidebarOpen = false;
+let activityWindow = '30d';   // kept across re-renders on this page
+
+function activityTimeline(data) {
+  return window.OSSTCSidebar.buildActivityTimeline(data.comments, {
+    events: data.activityEvents, windowDays: ACTIVITY_WINDOWS[activityWindow], since: data.issueData?.created_at
+  });
+}
 
 function toggleSidebar(data) {
   const existing = document.getElementById('oss-tc-sidebar');
@@ -361,10 +723,8 @@ function toggleSidebar(data) {
 
   if (!window.OSSTCSidebar) return;
 
-  const { issueData, momentum, prs, claims, forks, comments, difficulty } = data;
-  const sidebar = window.OSSTCSidebar.buildSidebar(
-    issueData || {}, momentum, prs, claims, forks, comments, difficulty
-  );
+  const { issueData, momentum, prs, difficulty, history } = data;
+  const sidebar = window.OSSTCSidebar.buildSidebar(data, activityWindow);
   document.body.appendChild(sidebar);
   document.body.classList.add('oss-tc-sidebar-open');
   sidebarOpen = true;
@@ -372,11 +732,57 @@ function toggleSidebar(data) {
 
   requestAnimationFrame(() => requestAnimationFrame(() => {
     const radarStats = window.OSSTCSidebar.buildRadarStats(issueData || {}, momentum, prs);
-    const activityData = window.OSSTCSidebar.buildActivityTimeline(comments);
-    window.OSSTCSidebar.initCharts(radarStats, activityData, difficulty, momentum);
+    const activityData = activityTimeline(data);
+    window.OSSTCSidebar.initCharts(radarStats, activityData, difficulty, momentum, history);
   }));
 
   sidebar.querySelector('#tc-sidebar-close')?.addEventListener('click', () => toggleSidebar(data));
+  bindExportMenu(sidebar, data);
+  bindActivityPicker(sidebar, data);
+}
+
+// 30d / 90d / lifetime buttons on the activity card
+function bindActivityPicker(sidebar, data) {
+  const picker = sidebar.querySelector('#tc-window-picker');
+  if (!picker) return;
+  picker.addEventListener('click', e => {
+    const key = e.target.closest('button[data-window]')?.dataset.window;
+    if (!key || key === activityWindow) return;
+    activityWindow = key;
+    picker.querySelectorAll('button').forEach(b => b.classList.toggle('active', b.dataset.window === key));
+    const activityData = activityTimeline(data);
+    const canvas = sidebar.querySelector('#tc-activity');
+    if (canvas) window.OSSTCSidebar.renderActivityChart(canvas, activityData);
+    const legend = sidebar.querySelector('#tc-activity-legend');
+    if (legend) legend.innerHTML = window.OSSTCSidebar.renderActivityLegend(activityData);
+  });
+}
+
+// Export menu in the sidebar header (export.js)
+function bindExportMenu(sidebar, data) {
+  const btn = sidebar.querySelector('#tc-export-btn');
+  const menu = sidebar.querySelector('#tc-export-menu');
+  if (!btn || !menu) return;
+
+  btn.addEventListener('click', e => {
+    e.stopPropagation();
+    menu.hidden = !menu.hidden;
+  });
+  sidebar.addEventListener('click', () => { menu.hidden = true; });
+
+  menu.querySelectorAll('[data-export]').forEach(item => {
+    const label = item.textContent;
+    item.addEventListener('click', async e => {
+      e.stopPropagation();
+      try {
+        item.textContent = await runExport(item.dataset.export, data);
+      } catch (err) {
+        console.warn('OSS Traffic: export failed:', err.message);
+        item.textContent = '⚠️ Export failed';
+      }
+      setTimeout(() => { item.textContent = label; menu.hidden = true; }, 1500);
+    });
+  });
 }
 
 function injectFloatBtn(data) {
@@ -390,50 +796,102 @@ function injectFloatBtn(data) {
 
 // ─── Main ─────────────────────────────────────────────────────────────────────
 
-async function init() {
-  const path = window.location.pathname.split('/');
-  if (path.length < 5 || path[3] !== 'issues' || !/^\d+$/.test(path[4])) return;
-  const [, owner, repo, , issueNumber] = path;
-
+function clearInjectedUI() {
   document.getElementById('oss-tc-banner')?.remove();
   document.getElementById('oss-tc-sidebar')?.remove();
   document.getElementById('oss-tc-float-btn')?.remove();
   document.body.classList.remove('oss-tc-sidebar-open');
   sidebarOpen = false;
+}
 
-  showLoader();
+// refresh: re-render in place after the worker refreshed stale data (no loader, sidebar stays open)
+async function init({ refresh = false } = {}) {
+  const path = window.location.pathname.split('/');
+  if (path.length >= 4 && path[3] === 'issues' && !path[4]) {
+    clearInjectedUI();
+    return initIssueList(path[1], path[2]);
+  }
+  if (path.length < 5 || path[3] !== 'issues' || !/^\d+$/.test(path[4])) return;
+  const [, owner, repo, , issueNumber] = path;
+
+  const reopenSidebar = refresh && sidebarOpen;
+  if (!refresh) {
+    clearInjectedUI();
+    showLoader();
+  }
   console.log(`GitHub Issue Radar v2.1: Scanning ${owner}/${repo}#${issueNumber}`);
 
-  const [prs, momentum] = await Promise.all([
-    detectPRs(owner, repo, issueNumber),
-    calcMomentumScore(owner, repo, issueNumber)
-  ]);
+  const [features, config] = await Promise.all([getFeatures(), getRadarConfig(owner, repo)]);
+  scanConfig = config;
+  cappedLists.clear();
 
-  const claims = detectClaims();
+  // Disabled scanners are skipped entirely so they cost no API calls.
+  // The issue itself is always fetched: difficulty scoring depends on it.
+  let bundle = null;
+  try {
+    bundle = await fetchIssueBundle(owner, repo, issueNumber, { withComments: features.momentum || features.claims || features.workload });
+  } catch (e) {
+    console.warn('OSS Traffic: Issue fetch failed:', e.message);
+  }
+
+  const [prs, prHistory] = features.pr
+    ? await Promise.all([detectPRs(owner, repo, issueNumber, bundle), detectPRHistory(owner, repo, issueNumber, bundle)])
+    : [[], []];
+  const momentum = features.momentum && bundle
+    ? calcMomentumScore({ ...bundle, linkedPRs: prs, labelEvents: await getLabelEvents(owner, repo, issueNumber, bundle) })
+    : null;
+
+  // Newest attempts first, so review lookups go to the PRs most likely still moving
+  const activityEvents = features.momentum && bundle
+    ? await getActivityEvents(owner, repo, issueNumber, bundle, [...prs, ...[...prHistory].reverse()])
+    : [];
+
+  const claims = features.claims ? await detectClaims(owner, repo, issueNumber, bundle, [...prs, ...prHistory], config) : [];
   const [forks, workloads] = await Promise.all([
-    scanForkActivity(owner, repo, issueNumber),
-    checkContributorWorkload(owner, repo, issueNumber)
+    features.forks ? scanForkActivity(owner, repo, issueNumber, bundle?.issue) : [],
+    features.workload && bundle ? checkContributorWorkload(owner, repo, issueNumber, bundle, [...prs, ...prHistory]) : null
   ]);
 
-  const issueData = momentum?.issueData || {};
-  const comments = momentum?.commentsData || [];
+  const issueData = bundle?.issue || {};
+  const comments = bundle?.comments || [];
 
-  const difficulty = window.OSSTCSidebar
-    ? window.OSSTCSidebar.calcDifficultyScore(issueData, comments, prs)
-    : { score: 50, level: 'medium', label: 'Intermediate', canBeginner: false, color: '#9a6700', emoji: '🟡', signals: [] };
+  const difficulty = calcDifficultyScore(issueData, comments, prHistory, config.difficulty);
 
   issueData._difficulty = difficulty;
 
-  let status = 'green';
-  if (prs.length > 0) status = 'red';
-  else if (claims.some(c => !c.isStale)) status = 'yellow';
-  else if (claims.some(c => c.isStale) || forks?.length > 0) status = 'yellow';
+  const status = computeStatus(prs, claims, forks, workloads);
+
+  const issueRef = { host: location.host, owner, repo, number: parseInt(issueNumber) };
+  const watched = await isWatched(issueRef);
 
-  const data = { prs, claims, momentum, forks, workloads, issueData, comments, difficulty };
+  const capped = [...cappedLists].map(list => CAPPED_LIST_LABELS[list]);
+  const data = { config, status, prs, prHistory, claims, momentum, forks, workloads, issueData, comments, difficulty, features, issueRef, watched, capped, activityEvents };
+  // A scan without the issue bundle has no comment count to record
+  data.history = bundle
+    ? await recordIssueHistory(issueRef, data).catch(e => { console.warn('OSS Traffic: History save failed:', e.message); return null; })
+    : null;
   await injectBanner(status, data);
   injectFloatBtn(data);
+  if (reopenSidebar) {
+    document.getElementById('oss-tc-sidebar')?.remove();
+    sidebarOpen = false;
+    toggleSidebar(data);
+  }
 }
 
 init();
 document.addEventListener('turbo:render', init);
 document.addEventListener('pjax:end', init);
+
+// Re-render when the popup toggles features or the options page changes scan settings
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && (changes.features || changes.radar_config)) init();
+});
+
+// Stale cache entries used for this page were refreshed; several usually land together
+let cacheRefreshTimer = null;
+chrome.runtime.onMessage.addListener(message => {
+  if (message.type !== 'CACHE_UPDATED') return;
+  clearTimeout(cacheRefreshTimer);
+  cacheRefreshTimer = setTimeout(() => init({ refresh: true }), 1000);
+});
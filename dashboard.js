@@ -0,0 +1,128 @@
+// dashboard.js
+
+const repoInput = document.getElementById('repo-input');
+const analyzeBtn = document.getElementById('analyze-btn');
+const statusText = document.getElementById('status-text');
+const report = document.getElementById('report');
+
+const REPO_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+
+// dashboard.html?repo=owner/repo[&host=github.example.com]
+const params = new URLSearchParams(location.search);
+const host = params.get('host') || DEFAULT_HOST;
+const API_BASE = apiBaseFor(host);
+
+function dashboardRequest(url, owner, maxPages = 1) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: 'FETCH_GITHUB', url, host, owner, priority: 'normal', maxPages }, response => {
+      if (response?.success) resolve(response.data);
+      else reject(new Error(response?.error || chrome.runtime.lastError?.message || 'No response'));
+    });
+  });
+}
+
+function levelColor(score) {
+  return score >= 70 ? '#1a7f37' : score >= 40 ? '#9a6700' : '#cf222e';
+}
+
+function formatHours(hours) {
+  if (hours === null) return '–';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${Math.round(hours)}h`;
+  return `${Math.round(hours / 24)}d`;
+}
+
+async function loadRepoHealth(owner, repo) {
+  const base = `${API_BASE}/repos/${owner}/${repo}`;
+  const [config, listed, pulls, openPulls] = await Promise.all([
+    getRadarConfig(owner, repo),
+    dashboardRequest(`${base}/issues?state=all&sort=created&direction=desc&per_page=100`, owner),
+    dashboardRequest(`${base}/pulls?state=all&sort=created&direction=desc&per_page=100`, owner),
+    dashboardRequest(`${base}/pulls?state=open&per_page=100`, owner, 3)
+  ]);
+  const issues = listed.filter(i => !i.pull_request).slice(0, HEALTH_SAMPLE_SIZE);
+
+  statusText.textContent = `Reading comments on ${issues.length} issues…`;
+  const comments = new Map();
+  await Promise.all(issues.map(async issue => {
+    if (issue.comments === 0) return;
+    const thread = await dashboardRequest(`${base}/issues/${issue.number}/comments?per_page=100`, owner).catch(() => null);
+    if (thread) comments.set(issue.number, thread);
+  }));
+
+  return computeRepoHealth({ owner, repo, issues, comments, pulls, openPulls, config });
+}
+
+function renderReport(health, owner, repo) {
+  const { responses, stale, claims, backlog } = health;
+
+  document.getElementById('stat-response').textContent = formatHours(responses.medianHours);
+  document.getElementById('stat-response-sub').textContent =
+    `${responses.answered} answered · ${responses.unanswered} open without a maintainer reply`;
+
+  document.getElementById('stat-stale').textContent = `${stale.share}%`;
+  document.getElementById('stat-stale-sub').textContent = `${stale.stalled} of ${stale.open} open issues have stalled`;
+
+  document.getElementById('stat-claims').textContent = claims.rate === null ? '–' : `${claims.rate}%`;
+  document.getElementById('stat-claims-sub').textContent = claims.total === 0
+    ? 'No claim comments in the sample'
+    : `${claims.converted} of ${claims.total} claimers opened a PR`;
+
+  document.getElementById('stat-backlog').textContent = backlog.open;
+  const oldest = backlog.oldest
+    ? ` · oldest <a href="${backlog.oldest.url}" target="_blank">#${backlog.oldest.number}</a>`
+    : '';
+  document.getElementById('stat-backlog-sub').innerHTML =
+    `${backlog.drafts} draft${backlog.drafts === 1 ? '' : 's'}` +
+    (backlog.medianAgeDays !== null ? ` · median age ${backlog.medianAgeDays}d` : '') + oldest;
+
+  // Ten points off per day of median wait
+  const responsiveness = responses.medianHours === null ? 0 : Math.max(0, Math.round(100 - responses.medianHours / 24 * 10));
+  const moving = stale.open > 0 ? 100 - stale.share : 100;
+  const followThrough = claims.rate ?? 0;
+  renderDonutChart(document.getElementById('donut-response'), responsiveness, '/100', levelColor(responsiveness));
+  renderDonutChart(document.getElementById('donut-fresh'), moving, '%', levelColor(moving));
+  renderDonutChart(document.getElementById('donut-claims'), followThrough, '%', levelColor(followThrough));
+
+  renderActivityChart(document.getElementById('chart-issues'), health.activity.issues);
+  renderActivityChart(document.getElementById('chart-replies'), health.activity.replies);
+
+  document.getElementById('maintainer-list').innerHTML = health.maintainers.length > 0
+    ? health.maintainers.map(m => `<div class="maintainer-row">
+        <a href="https://${host}/${m.login}" target="_blank">@${m.login}</a>
+        <span>${m.comments} comment${m.comments === 1 ? '' : 's'} on ${m.issues} issue${m.issues === 1 ? '' : 's'}</span>
+      </div>`).join('')
+    : '<p class="hint">No maintainer comments in the sample.</p>';
+
+  report.hidden = false;
+  statusText.textContent = `${owner}/${repo} · ${health.sample} most recent issues · updated ${new Date().toLocaleTimeString()}`;
+}
+
+async function analyze() {
+  const name = repoInput.value.trim().toLowerCase();
+  repoInput.classList.toggle('invalid', !REPO_PATTERN.test(name));
+  if (!REPO_PATTERN.test(name)) {
+    statusText.textContent = '⚠️ Repository must look like owner/repo';
+    return;
+  }
+
+  const [owner, repo] = name.split('/');
+  history.replaceState(null, '', `?repo=${name}${host === DEFAULT_HOST ? '' : `&host=${host}`}`);
+  analyzeBtn.disabled = true;
+  statusText.textContent = `Reading ${name}…`;
+  try {
+    renderReport(await loadRepoHealth(owner, repo), owner, repo);
+  } catch (e) {
+    statusText.textContent = `⚠️ ${e.message}`;
+  } finally {
+    analyzeBtn.disabled = false;
+  }
+}
+
+analyzeBtn.addEventListener('click', analyze);
+repoInput.addEventListener('keydown', e => { if (e.key === 'Enter') analyze(); });
+
+if (params.get('repo')) {
+  repoInput.value = params.get('repo');
+  analyze();
+}
@@ -0,0 +1,101 @@
+/**
+ * GitHub Issue Radar — difficulty-profile.js
+ * Label tiers, keyword lists and deltas used by calcDifficultyScore, plus per-repository
+ * profiles and auto-calibration from closed issues. Shared by the content scripts and options.js.
+ */
+
+const HARD_LABELS = ['complexity: high', 'difficulty: hard', 'senior', 'performance', 'security', 'architecture', 'breaking change', 'refactor'];
+const MEDIUM_LABELS = ['difficulty: medium', 'complexity: medium', 'enhancement', 'bug'];
+const EASY_LABELS = ['good first issue', 'good-first-issue', 'beginner', 'easy', 'starter', 'difficulty: easy', 'help wanted'];
+
+const HARD_KEYWORDS = ['race condition', 'memory leak', 'concurrency', 'deadlock', 'cryptograph', 'algorithm', 'optimization', 'benchmark', 'regression', 'migration', 'breaking', 'deprecat', 'vulnerability', 'exploit', 'segfault', 'undefined behavior', 'thread safe', 'async', 'refactor', 'rewrite', 'architecture'];
+const MEDIUM_KEYWORDS = ['implement', 'add support', 'feature request', 'integrate', 'api', 'endpoint', 'database', 'schema', 'component', 'module', 'plugin'];
+const EASY_KEYWORDS = ['typo', 'spelling', 'grammar', 'documentation', 'docs', 'readme', 'comment', 'test', 'lint', 'format', 'style', 'rename', 'missing link', 'broken link', 'update dependency', 'bump version'];
+
+const DEFAULT_DIFFICULTY_DELTAS = {
+  easyLabel: -25,
+  mediumLabel: 5,
+  hardLabel: 30,
+  hardKeyword: 8,   // per keyword, capped at 4 keywords
+  easyKeyword: 7    // per keyword, capped at 4 keywords
+};
+
+const DEFAULT_DIFFICULTY_PROFILE = {
+  name: 'default',
+  labels: { easy: EASY_LABELS, medium: MEDIUM_LABELS, hard: HARD_LABELS },
+  deltas: DEFAULT_DIFFICULTY_DELTAS,
+  keywordWeights: {}
+};
+
+// Profile overrides replace a tier's list or a single delta; learned weights replace the whole map
+function resolveDifficultyProfile(override, name) {
+  if (!override) return DEFAULT_DIFFICULTY_PROFILE;
+  const lower = list => list.map(l => l.toLowerCase());
+  return {
+    name,
+    labels: {
+      easy: override.labels?.easy ? lower(override.labels.easy) : EASY_LABELS,
+      medium: override.labels?.medium ? lower(override.labels.medium) : MEDIUM_LABELS,
+      hard: override.labels?.hard ? lower(override.labels.hard) : HARD_LABELS
+    },
+    deltas: { ...DEFAULT_DIFFICULTY_DELTAS, ...(override.deltas || {}) },
+    keywordWeights: override.keywordWeights || {}
+  };
+}
+
+// Built-in hard labels match as substrings ("security" matches "area/security"); the rest match exactly
+function labelTier(label, profile) {
+  const l = label.toLowerCase();
+  if (profile.labels.easy.includes(l)) return 'easy';
+  if (profile.labels.hard.some(hl => hl === l || (HARD_LABELS.includes(hl) && l.includes(hl)))) return 'hard';
+  if (profile.labels.medium.includes(l)) return 'medium';
+  return null;
+}
+
+// ─── Auto-calibration ───────────────────────────────────────────────────────
+
+const CALIBRATION_MIN_PER_TIER = 5;
+const CALIBRATION_MIN_HITS = 3;
+const CALIBRATION_MAX_WEIGHT = 15;
+const CALIBRATION_MAX_KEYWORDS = 20; // keeps radar_config under the sync per-item quota
+
+/**
+ * Looks at closed issues whose labels map to the easy or hard tier and weighs each candidate
+ * keyword by how much more often it shows up on one side. Returns suggestions; nothing is saved.
+ */
+function calibrateDifficultyProfile(closedIssues, profile) {
+  const tiers = { easy: [], hard: [] };
+  closedIssues.forEach(issue => {
+    const found = (issue.labels || []).map(l => labelTier(l.name, profile));
+    const text = `${issue.title || ''} ${issue.body || ''}`.toLowerCase();
+    if (found.includes('hard')) tiers.hard.push(text);
+    else if (found.includes('easy')) tiers.easy.push(text);
+  });
+
+  if (tiers.easy.length < CALIBRATION_MIN_PER_TIER || tiers.hard.length < CALIBRATION_MIN_PER_TIER) {
+    return {
+      ok: false,
+      sample: { easy: tiers.easy.length, hard: tiers.hard.length },
+      error: `Need at least ${CALIBRATION_MIN_PER_TIER} closed easy and hard issues (found ${tiers.easy.length} easy, ${tiers.hard.length} hard)`
+    };
+  }
+
+  const candidates = [...new Set([...HARD_KEYWORDS, ...MEDIUM_KEYWORDS, ...EASY_KEYWORDS, ...Object.keys(profile.keywordWeights)])];
+  const weights = [];
+  candidates.forEach(kw => {
+    const hardHits = tiers.hard.filter(t => t.includes(kw)).length;
+    const easyHits = tiers.easy.filter(t => t.includes(kw)).length;
+    if (hardHits + easyHits < CALIBRATION_MIN_HITS) return;
+    const hardRate = hardHits / tiers.hard.length;
+    const easyRate = easyHits / tiers.easy.length;
+    const weight = Math.round(CALIBRATION_MAX_WEIGHT * (hardRate - easyRate) / Math.max(hardRate, easyRate));
+    if (weight !== 0) weights.push([kw, weight]);
+  });
+
+  weights.sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+  return {
+    ok: true,
+    sample: { easy: tiers.easy.length, hard: tiers.hard.length },
+    keywordWeights: Object.fromEntries(weights.slice(0, CALIBRATION_MAX_KEYWORDS))
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * GitHub Issue Radar — export.js
+ * Sidebar export menu: a Markdown summary for comments and chat, a JSON download and a PNG of the
+ * radar and activity charts. Content script; load after sidebar.js.
+ *
+ * JSON exports carry `schema` and `version`. Bump EXPORT_SCHEMA_VERSION whenever a field is renamed,
+ * removed or changes meaning; adding fields doesn't need a bump.
+ */
+
+const EXPORT_SCHEMA = 'github-issue-radar/issue-analysis';
+const EXPORT_SCHEMA_VERSION = 1;
+
+const EXPORT_STATUS_LABELS = { red: '🛑 Taken', yellow: '⚠️ Check first', green: '✅ Clear to contribute' };
+
+function exportFileName(data, ext) {
+  const { owner, repo, number } = data.issueRef;
+  return `${owner}-${repo}-${number}-radar.${ext}`;
+}
+
+function buildExportPayload(data) {
+  const { issueRef, issueData, status, difficulty, momentum, prs, prHistory, claims, forks, workloads, capped } = data;
+  return {
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    issue: {
+      ...issueRef,
+      url: issueUrl(issueRef),
+      title: issueData.title || null,
+      state: issueData.state || null,
+      labels: (issueData.labels || []).map(l => l.name),
+      assignees: (issueData.assignees || []).map(a => a.login)
+    },
+    status,
+    difficulty: {
+      score: difficulty.score,
+      level: difficulty.level,
+      label: difficulty.label,
+      canBeginner: difficulty.canBeginner,
+      profile: difficulty.profile,
+      signals: difficulty.signals
+    },
+    momentum,
+    radar: window.OSSTCSidebar.buildRadarStats(issueData, momentum, prs),
+    pullRequests: prs.map(pr => ({ number: pr.number, url: pr.url, title: pr.title, linkType: pr.linkType, isDraft: !!pr.isDraft })),
+    attempts: (prHistory || []).map(a => ({ number: a.number, url: a.url, user: a.user, outcome: a.outcome })),
+    claims: claims.map(c => ({ claimer: c.claimer, state: c.state, claimedAt: c.claimedAt, reason: c.reason, commentUrl: c.commentUrl })),
+    forks: (forks || []).map(f => ({
+      owner: f.owner, branch: f.branchName, confidence: f.confidence, score: f.score,
+      aheadBy: f.aheadBy, behindBy: f.behindBy, compareUrl: f.compareUrl, reasons: f.reasons
+    })),
+    assignees: (workloads || []).map(w => ({
+      login: w.login, openPRs: w.openPRCount, assignedIssues: w.openIssueCount,
+      assignedAt: w.assignedAt, lastActivityAt: w.lastActivityAt, warnings: w.warnings
+    })),
+    capped
+  };
+}
+
+function buildMarkdownSummary(data) {
+  const { issueRef, issueData, status, difficulty, momentum, prs, claims, forks, workloads, capped } = data;
+  const lines = [
+    `**${watchKey(issueRef)}: ${issueData.title || 'Untitled'}** · ${EXPORT_STATUS_LABELS[status]}`,
+    issueUrl(issueRef),
+    '',
+    `- **Difficulty:** ${difficulty.emoji} ${difficulty.label} (${difficulty.score}/100${difficulty.profile !== 'default' ? `, ${difficulty.profile} profile` : ''})`
+  ];
+  if (momentum) {
+    lines.push(`- **Momentum:** ${momentum.label} (${momentum.score}/100) · updated ${momentum.daysSinceUpdate}d ago · ` +
+      (momentum.maintainerResponseDays !== null ? `maintainer replied after ${momentum.maintainerResponseDays}d` : 'no maintainer reply'));
+  }
+  lines.push(prs.length > 0
+    ? `- **Pull requests:** ${prs.map(pr => `#${pr.number} (${PR_LINK_LABELS[pr.linkType]}${pr.isDraft ? ', draft' : ''})`).join(', ')}`
+    : '- **Pull requests:** none linked');
+  if (claims.length > 0) {
+    lines.push(`- **Claims:** ${claims.map(c => `@${c.claimer} ${CLAIM_STATE_LABELS[c.state]}`).join(', ')}`);
+  }
+  if (forks?.length > 0) {
+    lines.push(`- **Fork activity:** ${forks.slice(0, 3).map(f => `${f.owner}:${f.branchName} (${f.confidence})`).join(', ')}`);
+  }
+  if (workloads?.length > 0) {
+    lines.push(`- **Assignees:** ${workloads.map(w => `@${w.login}${w.warnings.length > 0 ? ` ⚠️ ${w.warnings[0]}` : ''}`).join(', ')}`);
+  }
+  if (difficulty.signals.length > 0) {
+    lines.push('', 'Difficulty signals:');
+    difficulty.signals.slice(0, 5).forEach(s => lines.push(`- ${s.text} (${s.delta > 0 ? '+' : ''}${s.delta})`));
+  }
+  if (momentum?.signals.length > 0) {
+    lines.push('', 'Momentum signals:');
+    momentum.signals.slice(0, 5).forEach(s => lines.push(`- ${s.text} (${s.delta > 0 ? '+' : ''}${s.delta})`));
+  }
+  if (capped.length > 0) lines.push('', `_Partial scan: ${capped.join(', ')} cut off by page caps._`);
+  lines.push('', `_GitHub Issue Radar · ${new Date().toLocaleDateString()}_`);
+  return lines.join('\n');
+}
+
+// Radar and activity charts side by side under a title line, at the sidebar's own colours. The activity
+// chart belongs to the momentum section; with momentum switched off the PNG holds the radar alone.
+function buildChartSnapshot(data) {
+  const radar = document.getElementById('tc-radar');
+  const activity = document.getElementById('tc-activity');
+  if (!radar) return Promise.reject(new Error('Open the sidebar charts first'));
+
+  const pad = 16;
+  const header = 40;
+  const headline = `${watchKey(data.issueRef)} · ${data.difficulty.label} · ${EXPORT_STATUS_LABELS[data.status]}`;
+  const subtitle = (data.issueData.title || '').slice(0, 90);
+  const styles = getComputedStyle(document.getElementById('oss-tc-sidebar'));
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+
+  // Alone the radar is narrower than the header text, so size the canvas for whichever is wider
+  ctx.font = 'bold 13px sans-serif';
+  let textWidth = ctx.measureText(headline).width;
+  ctx.font = '10px monospace';
+  textWidth = Math.max(textWidth, ctx.measureText(subtitle).width);
+  const chartsWidth = radar.width + (activity ? activity.width + pad : 0);
+  canvas.width = Math.ceil(Math.max(chartsWidth, textWidth)) + pad * 2;
+  canvas.height = header + Math.max(radar.height, activity ? activity.height : 0) + pad;
+
+  ctx.fillStyle = styles.getPropertyValue('--tc-surface').trim() || '#161b22';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = styles.getPropertyValue('--tc-text').trim() || '#e6edf3';
+  ctx.font = 'bold 13px sans-serif';
+  ctx.fillText(headline, pad, 22);
+  ctx.fillStyle = styles.getPropertyValue('--tc-muted').trim() || '#7d8590';
+  ctx.font = '10px monospace';
+  ctx.fillText(subtitle, pad, 35);
+
+  ctx.drawImage(radar, pad, header);
+  if (activity) ctx.drawImage(activity, radar.width + pad * 2, header + (radar.height - activity.height) / 2);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Resolves to a short confirmation for the menu button
+async function runExport(kind, data) {
+  if (kind === 'markdown') {
+    await navigator.clipboard.writeText(buildMarkdownSummary(data));
+    return '✓ Copied';
+  }
+  if (kind === 'json') {
+    const json = JSON.stringify(buildExportPayload(data), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), exportFileName(data, 'json'));
+    return '✓ Saved';
+  }
+  downloadBlob(await buildChartSnapshot(data), exportFileName(data, 'png'));
+  return '✓ Saved';
+}
@@ -0,0 +1,89 @@
+/**
+ * GitHub Issue Radar — history.js
+ * Per-issue scan history for the sidebar's trend sparkline and its "changed since your last visit"
+ * callout. Content script; load after hosts.js.
+ *
+ * chrome.storage.local:
+ *   issue_history:<watchKey> – [snapshot, …] oldest first, one per visit
+ *   issue_history_index      – { <watchKey>: last visit time } for pruning the least recently visited
+ * snapshot: { at, momentum, difficulty, comments, status, prs: [number], claims: [login of a fresh claim] }
+ */
+
+const HISTORY_KEY_PREFIX = 'issue_history:';
+const HISTORY_INDEX_KEY = 'issue_history_index';
+const HISTORY_MAX_SNAPSHOTS = 60;
+const HISTORY_MAX_ISSUES = 300;
+const HISTORY_VISIT_GAP_MINUTES = 30;   // scans closer together than this belong to one visit
+
+const HISTORY_STATUS_LABELS = { red: 'Taken', yellow: 'Check first', green: 'Clear' };
+
+function buildSnapshot({ momentum, difficulty, issueData, status, prs, claims }) {
+  return {
+    at: new Date().toISOString(),
+    momentum: momentum ? momentum.score : null,
+    difficulty: difficulty ? difficulty.score : null,
+    comments: issueData.comments || 0,
+    status,
+    prs: prs.map(pr => pr.number),
+    claims: claims.filter(c => c.state === 'fresh').map(c => c.claimer)
+  };
+}
+
+/**
+ * What happened between a previous snapshot and the scan in `data`:
+ * { since, comments: [{ author, at, url }], commentCount, prs, claims, status: { from, to } | null, momentum: { from, to } | null }
+ */
+function diffSinceVisit(previous, { comments, issueData, prs, claims, status, momentum }) {
+  const newComments = (comments || [])
+    .filter(c => c.created_at > previous.at)
+    .map(c => ({ author: c.user?.login || 'someone', at: c.created_at, url: c.html_url }));
+  // Without the comment list (page-scan fallback) the count is all there is
+  const commentCount = comments?.length > 0 ? newComments.length : Math.max(0, (issueData.comments || 0) - previous.comments);
+
+  return {
+    since: previous.at,
+    comments: newComments,
+    commentCount,
+    prs: prs.filter(pr => !previous.prs.includes(pr.number)),
+    claims: claims.filter(c => c.state === 'fresh' && !previous.claims.includes(c.claimer)),
+    status: previous.status !== status ? { from: previous.status, to: status } : null,
+    momentum: momentum && previous.momentum !== null && previous.momentum !== momentum.score
+      ? { from: previous.momentum, to: momentum.score }
+      : null
+  };
+}
+
+function hasChanges(changes) {
+  return changes.commentCount > 0 || changes.prs.length > 0 || changes.claims.length > 0 || !!changes.status;
+}
+
+/**
+ * Saves this scan and resolves to { snapshots, previous, changes }. `previous` is the last snapshot
+ * from an earlier visit (null on the first one); re-scans within a visit replace its snapshot.
+ */
+async function recordIssueHistory(issueRef, data) {
+  const key = watchKey(issueRef);
+  const storageKey = HISTORY_KEY_PREFIX + key;
+  const stored = await chrome.storage.local.get([storageKey, HISTORY_INDEX_KEY]);
+  const snapshots = stored[storageKey] || [];
+  const index = stored[HISTORY_INDEX_KEY] || {};
+
+  const snapshot = buildSnapshot(data);
+  const latest = snapshots[snapshots.length - 1];
+  if (latest && Date.parse(snapshot.at) - Date.parse(latest.at) < HISTORY_VISIT_GAP_MINUTES * 60000) {
+    snapshots.pop();
+  }
+  const previous = snapshots[snapshots.length - 1] || null;
+  snapshots.push(snapshot);
+  index[key] = snapshot.at;
+
+  const evicted = Object.keys(index)
+    .sort((a, b) => index[b].localeCompare(index[a]))
+    .slice(HISTORY_MAX_ISSUES);
+  evicted.forEach(k => delete index[k]);
+  if (evicted.length > 0) await chrome.storage.local.remove(evicted.map(k => HISTORY_KEY_PREFIX + k));
+
+  const kept = snapshots.slice(-HISTORY_MAX_SNAPSHOTS);
+  await chrome.storage.local.set({ [storageKey]: kept, [HISTORY_INDEX_KEY]: index });
+  return { snapshots: kept, previous, changes: previous ? diffSinceVisit(previous, data) : null };
+}
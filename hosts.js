@@ -0,0 +1,43 @@
+/**
+ * GitHub Issue Radar — hosts.js
+ * github.com plus any GitHub Enterprise Server hosts registered on the options page.
+ * Shared by the content script, the service worker and options.js.
+ *
+ * chrome.storage.sync:
+ *   enterprise_hosts – ['github.example.com', …]; their tokens are token profiles (tokens.js)
+ */
+
+const DEFAULT_HOST = 'github.com';
+const HOST_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+(:\d+)?$/;
+
+// Enterprise Server serves REST under /api/v3 and GraphQL under /api/graphql on its own hostname
+function apiBaseFor(host) {
+  return host === DEFAULT_HOST ? 'https://api.github.com' : `https://${host}/api/v3`;
+}
+
+function graphqlUrlFor(host) {
+  return host === DEFAULT_HOST ? 'https://api.github.com/graphql' : `https://${host}/api/graphql`;
+}
+
+function hostOrigin(host) {
+  return `https://${host}/*`;
+}
+
+function normalizeHost(input) {
+  return (input || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+}
+
+async function getEnterpriseHosts() {
+  const result = await chrome.storage.sync.get('enterprise_hosts');
+  return result.enterprise_hosts || [];
+}
+
+// Watchlist key; github.com issues keep the original "owner/repo#N" form
+function watchKey({ host = DEFAULT_HOST, owner, repo, number }) {
+  const key = `${owner}/${repo}#${number}`;
+  return host === DEFAULT_HOST ? key : `${host}/${key}`;
+}
+
+function issueUrl({ host = DEFAULT_HOST, owner, repo, number }) {
+  return `https://${host}/${owner}/${repo}/issues/${number}`;
+}
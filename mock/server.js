@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * GitHub Issue Radar — mock/server.js
+ * A stand-in for api.github.com that replays recorded responses, for running the extension offline.
+ * Point the extension at it from the options page (Developer → API base URL), then:
+ *
+ *   node mock/server.js [--port 8787] [--scenario rate-limit] [--page-size 30] [--core-limit 60] [--record]
+ *
+ * A request for /repos/acme/widgets/issues/41/comments is answered from
+ * mock/fixtures/repos/acme/widgets/issues/41/comments.json; the query string is ignored except for
+ * paging. Characters other than letters, digits, '.', '_' and '-' in a path segment become '_'
+ * (compare/main...dev:fix → compare/main...dev_fix.json). Anything without a fixture is a 404,
+ * or with --record is fetched from api.github.com (GITHUB_TOKEN if set) and saved as a new fixture.
+ *
+ * Scenarios make every API request fail the way GitHub does, to walk the error paths in api-client.js:
+ *   unauthorized    – 401 Bad credentials
+ *   forbidden       – 403 without rate-limit exhaustion (a final error)
+ *   rate-limit      – 403 with X-RateLimit-Remaining: 0
+ *   secondary-limit – 403 "secondary rate limit" with Retry-After
+ *   server-error    – 502, retried with backoff
+ * Switch while running with GET /__mock/scenario?set=<name> ('none' turns it off); GET /__mock/reset
+ * restores the rate budget. Requests also count against a real budget and run out at the limit.
+ * GraphQL isn't replayed: /graphql answers with an error and the extension falls back to REST.
+ */
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const UPSTREAM = 'https://api.github.com';
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const DOCS_URL = 'https://docs.github.com/rest';
+
+const SCENARIOS = ['none', 'unauthorized', 'forbidden', 'rate-limit', 'secondary-limit', 'server-error'];
+
+// Unauthenticated and token limits per resource, as on github.com
+const RATE_LIMITS = {
+  core: { anonymous: 60, token: 5000 },
+  search: { anonymous: 10, token: 30 },
+  graphql: { anonymous: 0, token: 5000 }
+};
+const RATE_WINDOW_MS = 3600000;
+const SECONDARY_RETRY_AFTER = 60;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Accept, Authorization, Content-Type, If-None-Match, If-Modified-Since, User-Agent',
+  'Access-Control-Expose-Headers': 'ETag, Link, Retry-After, X-OAuth-Scopes, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Used, X-RateLimit-Reset, X-RateLimit-Resource'
+};
+
+function fixturePath(dir, pathname) {
+  const segments = pathname.split('/').filter(Boolean).map(s => decodeURIComponent(s).replace(/[^\w.-]/g, '_'));
+  if (segments.length === 0 || segments.some(s => /^\.+$/.test(s))) return null;
+  return path.join(dir, ...segments) + '.json';
+}
+
+function resourceFor(pathname) {
+  if (pathname === '/graphql') return 'graphql';
+  if (pathname.startsWith('/search/')) return 'search';
+  return 'core';
+}
+
+/**
+ * options: { fixtureDir, scenario = 'none', pageSize, coreLimit, record = false, log = console.log }
+ * Returns an http.Server that isn't listening yet; server.mock holds the live scenario and budgets.
+ */
+function createMockServer({ fixtureDir = FIXTURE_DIR, scenario = 'none', pageSize = null, coreLimit = null, record = false, log = console.log } = {}) {
+  const state = { scenario, budgets: {} };
+
+  function resetBudgets() {
+    state.budgets = {};
+  }
+
+  function budgetFor(resource, authed) {
+    const key = `${resource}:${authed ? 'token' : 'anonymous'}`;
+    if (!state.budgets[key] || Date.now() >= state.budgets[key].reset) {
+      const limits = RATE_LIMITS[resource];
+      const limit = resource === 'core' && coreLimit ? coreLimit : limits[authed ? 'token' : 'anonymous'];
+      state.budgets[key] = { limit, used: 0, reset: Date.now() + RATE_WINDOW_MS };
+    }
+    return state.budgets[key];
+  }
+
+  function rateHeaders(resource, budget) {
+    return {
+      'X-RateLimit-Limit': String(budget.limit),
+      'X-RateLimit-Remaining': String(Math.max(0, budget.limit - budget.used)),
+      'X-RateLimit-Used': String(budget.used),
+      'X-RateLimit-Reset': String(Math.floor(budget.reset / 1000)),
+      'X-RateLimit-Resource': resource
+    };
+  }
+
+  function send(res, status, body, headers = {}) {
+    const json = body === null ? '' : JSON.stringify(body, null, 2);
+    res.writeHead(status, { ...CORS_HEADERS, ...(json ? { 'Content-Type': 'application/json; charset=utf-8' } : {}), ...headers });
+    res.end(json);
+  }
+
+  function scenarioResponse(res, resource, budget) {
+    const limits = rateHeaders(resource, budget);
+    switch (state.scenario) {
+      case 'unauthorized':
+        return send(res, 401, { message: 'Bad credentials', documentation_url: DOCS_URL });
+      case 'forbidden':
+        return send(res, 403, { message: 'Resource not accessible by personal access token', documentation_url: DOCS_URL }, limits);
+      case 'rate-limit':
+        return send(res, 403, { message: 'API rate limit exceeded (mock server).', documentation_url: DOCS_URL },
+          { ...limits, 'X-RateLimit-Remaining': '0', 'X-RateLimit-Used': String(budget.limit) });
+      case 'secondary-limit':
+        return send(res, 403, { message: 'You have exceeded a secondary rate limit. Please wait a few minutes before you try again.', documentation_url: DOCS_URL },
+          { ...limits, 'Retry-After': String(SECONDARY_RETRY_AFTER) });
+      case 'server-error':
+        return send(res, 502, { message: 'Server Error' });
+    }
+  }
+
+  // Array fixtures are served in pages with a Link header, like the real list endpoints
+  function paginate(req, url, data) {
+    if (!Array.isArray(data)) return { body: data, link: null };
+    const perPage = Math.min(parseInt(url.searchParams.get('per_page'), 10) || 30, pageSize || 100);
+    const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+    const last = Math.max(1, Math.ceil(data.length / perPage));
+    const pageUrl = n => {
+      const next = new URL(url);
+      next.searchParams.set('page', n);
+      return `<http://${req.headers.host}${next.pathname}${next.search}>`;
+    };
+    const links = [];
+    if (page < last) links.push(`${pageUrl(page + 1)}; rel="next"`, `${pageUrl(last)}; rel="last"`);
+    if (page > 1) links.push(`${pageUrl(1)}; rel="first"`, `${pageUrl(page - 1)}; rel="prev"`);
+    return { body: data.slice((page - 1) * perPage, page * perPage), link: links.join(', ') || null };
+  }
+
+  async function recordFixture(req, url, file) {
+    const headers = { 'Accept': 'application/vnd.github.v3+json', 'User-Agent': 'GitHub-Issue-Radar-mock' };
+    const auth = req.headers.authorization || (process.env.GITHUB_TOKEN ? `token ${process.env.GITHUB_TOKEN}` : null);
+    if (auth) headers['Authorization'] = auth;
+    const response = await fetch(`${UPSTREAM}${url.pathname}${url.search}`, { headers });
+    if (!response.ok) return null;
+    const data = await response.json();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+    log(`  recorded ${path.relative(fixtureDir, file)}`);
+    return data;
+  }
+
+  function control(res, url) {
+    if (url.pathname === '/__mock/reset') resetBudgets();
+    const set = url.searchParams.get('set');
+    if (url.pathname === '/__mock/scenario' && set !== null) {
+      if (!SCENARIOS.includes(set)) return send(res, 400, { message: `Unknown scenario, expected one of: ${SCENARIOS.join(', ')}` });
+      state.scenario = set;
+      log(`scenario → ${set}`);
+    }
+    return send(res, 200, { scenario: state.scenario, scenarios: SCENARIOS, budgets: state.budgets });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (req.method === 'OPTIONS') return send(res, 204, null);
+    if (url.pathname.startsWith('/__mock/')) return control(res, url);
+
+    const authed = !!req.headers.authorization;
+    const resource = resourceFor(url.pathname);
+    const budget = budgetFor(resource, authed);
+    log(`${req.method} ${url.pathname}${url.search}${state.scenario !== 'none' ? ` [${state.scenario}]` : ''}`);
+
+    if (state.scenario !== 'none') return scenarioResponse(res, resource, budget);
+
+    if (url.pathname === '/rate_limit') {
+      const resources = {};
+      Object.keys(RATE_LIMITS).forEach(name => {
+        const b = budgetFor(name, authed);
+        resources[name] = { limit: b.limit, used: b.used, remaining: Math.max(0, b.limit - b.used), reset: Math.floor(b.reset / 1000) };
+      });
+      return send(res, 200, { resources, rate: resources.core });
+    }
+
+    if (budget.used >= budget.limit) {
+      return send(res, 403, { message: 'API rate limit exceeded (mock server).', documentation_url: DOCS_URL }, rateHeaders(resource, budget));
+    }
+
+    if (resource === 'graphql') {
+      budget.used++;
+      return send(res, 200, { data: null, errors: [{ type: 'NOT_RECORDED', message: 'The mock server does not replay GraphQL' }] }, rateHeaders(resource, budget));
+    }
+
+    const file = fixturePath(fixtureDir, url.pathname);
+    let data = null;
+    if (file && fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    else if (file && record) data = await recordFixture(req, url, file);
+    if (data === null) {
+      log(`  no fixture${file ? ` at ${path.relative(fixtureDir, file)}` : ''}`);
+      return send(res, 404, { message: 'Not Found', documentation_url: DOCS_URL }, rateHeaders(resource, budget));
+    }
+
+    const { body, link } = paginate(req, url, data);
+    const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex')}"`;
+    const headers = { 'ETag': etag, ...(link ? { 'Link': link } : {}), ...(authed ? { 'X-OAuth-Scopes': 'public_repo' } : {}) };
+
+    // Conditional requests that hit don't count against the budget, as on github.com
+    if (req.headers['if-none-match'] === etag) return send(res, 304, null, { ...headers, ...rateHeaders(resource, budget) });
+    budget.used++;
+    return send(res, 200, body, { ...headers, ...rateHeaders(resource, budget) });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+      log(`  failed: ${err.message}`);
+      send(res, 500, { message: err.message });
+    });
+  });
+  server.mock = state;
+  return server;
+}
+
+function parseArgs(argv) {
+  const options = { port: 8787 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') options.record = true;
+    else if (arg === '--port') options.port = parseInt(argv[++i], 10);
+    else if (arg === '--scenario') options.scenario = argv[++i];
+    else if (arg === '--page-size') options.pageSize = parseInt(argv[++i], 10);
+    else if (arg === '--core-limit') options.coreLimit = parseInt(argv[++i], 10);
+    else if (arg === '--fixtures') options.fixtureDir = path.resolve(argv[++i]);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (options.scenario && !SCENARIOS.includes(options.scenario)) {
+    throw new Error(`Unknown scenario ${options.scenario}, expected one of: ${SCENARIOS.join(', ')}`);
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  createMockServer(options).listen(options.port, '127.0.0.1', () => {
+    console.log(`Mock GitHub API on http://127.0.0.1:${options.port} · scenario ${options.scenario || 'none'}${options.record ? ' · recording' : ''}`);
+  });
+}
+
+module.exports = { createMockServer, fixturePath, SCENARIOS };
@@ -0,0 +1,114 @@
+/**
+ * GitHub Issue Radar — momentum.js
+ * How alive an issue is: recent updates, discussion, how fast maintainers answered, reactions,
+ * linked PR activity, relabeling and who spoke last. Every point added or taken away is listed in
+ * `signals` as { type: 'up' | 'down', text, delta }: type follows the sign of delta, the points it
+ * moved the score (difficulty signals are typed easy/medium/hard instead).
+ * Shared by the content script and the popup's issue finder; load after claims.js.
+ */
+
+const MOMENTUM_LABEL_WINDOW_DAYS = 30;
+const MOMENTUM_LABEL_CHURN = 5;       // label changes in the window that read as unsettled scope
+
+// REST timeline → [{ type: 'labeled' | 'unlabeled', label, createdAt }]
+function labelEventsFromTimeline(events) {
+  return (events || [])
+    .filter(ev => (ev.event === 'labeled' || ev.event === 'unlabeled') && ev.label)
+    .map(ev => ({ type: ev.event, label: ev.label.name, createdAt: ev.created_at }));
+}
+
+/**
+ * bundle: { issue, comments, linkedPRs, labelEvents }. issue.reactions is the REST reaction rollup;
+ * linkedPRs ({ number, state, createdAt, updatedAt }) and labelEvents are optional and their
+ * signals are skipped without them.
+ */
+function calcMomentumScore(bundle) {
+  try {
+    const { issue: issueData, comments: commentsData } = bundle;
+    const linkedPRs = bundle.linkedPRs || [];
+    const labelEvents = bundle.labelEvents || [];
+
+    const daysSince = date => (Date.now() - new Date(date)) / 86400000;
+    const daysSinceUpdate = daysSince(issueData.updated_at);
+    const daysSinceOpen = daysSince(issueData.created_at);
+    const commentCount = issueData.comments;
+
+    const maintainerResponse = commentsData.find(c => MAINTAINER_ASSOCIATIONS.includes(c.author_association));
+
+    let maintainerResponseDays = null;
+    if (maintainerResponse) {
+      maintainerResponseDays = (new Date(maintainerResponse.created_at) - new Date(issueData.created_at)) / 86400000;
+    }
+
+    let score = 50;
+    const signals = [];
+    const add = (delta, text) => {
+      score += delta;
+      signals.push({ type: delta > 0 ? 'up' : 'down', text, delta });
+    };
+
+    const updated = Math.floor(daysSinceUpdate);
+    if (daysSinceUpdate < 1) add(25, 'Updated today');
+    else if (daysSinceUpdate < 7) add(15, `Updated ${updated}d ago`);
+    else if (daysSinceUpdate < 30) add(5, `Updated ${updated}d ago`);
+    else if (daysSinceUpdate < 90) add(-10, `Quiet for ${updated} days`);
+    else add(-30, `No updates in ${updated} days`);
+
+    if (commentCount > 10) add(15, `Busy thread (${commentCount} comments)`);
+    else if (commentCount > 5) add(8, `${commentCount} comments`);
+    else if (commentCount > 1) add(3, `${commentCount} comments`);
+    else if (commentCount === 0) add(-15, 'No comments yet');
+
+    if (maintainerResponseDays !== null) {
+      const days = Math.floor(maintainerResponseDays);
+      if (maintainerResponseDays < 1) add(20, 'Maintainer replied within a day');
+      else if (maintainerResponseDays < 7) add(10, `Maintainer replied after ${days}d`);
+      else if (maintainerResponseDays >= 30) add(-10, `Maintainer took ${days}d to reply`);
+    } else {
+      add(-15, 'No maintainer reply');
+    }
+
+    const thumbsUp = issueData.reactions?.['+1'] || 0;
+    if (thumbsUp >= 10) add(10, `${thumbsUp} 👍 reactions`);
+    else if (thumbsUp >= 3) add(5, `${thumbsUp} 👍 reactions`);
+
+    // The most recently touched open PR speaks for the rest
+    const openPR = linkedPRs
+      .filter(pr => pr.state === 'open')
+      .sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt))[0];
+    if (openPR) {
+      const prDays = Math.floor(daysSince(openPR.updatedAt || openPR.createdAt));
+      if (prDays < 7) add(10, `PR #${openPR.number} updated ${prDays}d ago`);
+      else if (prDays >= 30) add(-5, `PR #${openPR.number} idle for ${prDays} days`);
+    }
+
+    const relabels = labelEvents.filter(ev => daysSince(ev.createdAt) < MOMENTUM_LABEL_WINDOW_DAYS).length;
+    if (relabels >= MOMENTUM_LABEL_CHURN) add(-5, `Label churn: ${relabels} label changes in ${MOMENTUM_LABEL_WINDOW_DAYS} days`);
+    else if (relabels > 0) add(5, `Triaged recently (${relabels} label change${relabels > 1 ? 's' : ''})`);
+
+    // Comments are oldest first; a maintainer having the last word leaves the next move to contributors
+    const last = commentsData[commentsData.length - 1];
+    if (last && MAINTAINER_ASSOCIATIONS.includes(last.author_association)) add(5, 'Last comment is from a maintainer');
+    else if (last && last.user?.login && last.user.login === issueData.user?.login) add(-5, 'Reporter commented last, waiting on a reply');
+
+    score = Math.max(0, Math.min(100, score));
+
+    return {
+      score,
+      label: score >= 70 ? 'Active' : score >= 40 ? 'Slow' : 'Stalled',
+      color: score >= 70 ? '#2ea44f' : score >= 40 ? '#d29922' : '#cf222e',
+      daysSinceUpdate: Math.floor(daysSinceUpdate),
+      daysSinceOpen: Math.floor(daysSinceOpen),
+      commentCount,
+      maintainerResponseDays: maintainerResponseDays !== null ? Math.floor(maintainerResponseDays) : null,
+      thumbsUp,
+      lastActivity: issueData.updated_at,
+      labels: issueData.labels?.map(l => l.name) || [],
+      assignees: issueData.assignees?.map(a => a.login) || [],
+      signals
+    };
+  } catch (e) {
+    console.warn('OSS Traffic: Momentum failed:', e.message);
+    return null;
+  }
+}
@@ -0,0 +1,452 @@
+// options.js
+
+const globalKeywords = document.getElementById('global-keywords');
+const globalStale = document.getElementById('global-stale');
+const globalTtl = document.getElementById('global-ttl');
+const pageCapInputs = document.querySelectorAll('.page-cap');
+const repoList = document.getElementById('repo-list');
+const repoTemplate = document.getElementById('repo-template');
+const addRepoBtn = document.getElementById('add-repo-btn');
+const saveBtn = document.getElementById('save-btn');
+const resetBtn = document.getElementById('reset-btn');
+const statusText = document.getElementById('status-text');
+const hostList = document.getElementById('host-list');
+const hostTemplate = document.getElementById('host-template');
+const addHostBtn = document.getElementById('add-host-btn');
+const profileList = document.getElementById('profile-list');
+const profileTemplate = document.getElementById('profile-template');
+const profileHost = document.getElementById('profile-host');
+const profileStatus = document.getElementById('profile-status');
+const apiBaseInput = document.getElementById('api-base');
+const apiBaseStatus = document.getElementById('api-base-status');
+
+const REPO_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+
+function parseKeywords(text) {
+  return text.split('\n').map(l => l.trim().toLowerCase()).filter(Boolean);
+}
+
+// Blank or invalid numbers mean "inherit"
+function parsePositive(input) {
+  const n = parseInt(input.value, 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function parseLabelList(text) {
+  return text.split(',').map(l => l.trim().toLowerCase()).filter(Boolean);
+}
+
+// "keyword = +8" per line; weights outside ±CALIBRATION_MAX_WEIGHT are clamped
+function parseKeywordWeights(text) {
+  const weights = {};
+  text.split('\n').forEach(line => {
+    const match = line.match(/^\s*(.+?)\s*=\s*([+-]?\d+)\s*$/);
+    if (!match) return;
+    const w = Math.max(-CALIBRATION_MAX_WEIGHT, Math.min(CALIBRATION_MAX_WEIGHT, parseInt(match[2], 10)));
+    if (w !== 0) weights[match[1].toLowerCase()] = w;
+  });
+  return weights;
+}
+
+function formatKeywordWeights(weights) {
+  return Object.entries(weights || {}).map(([kw, w]) => `${kw} = ${w > 0 ? '+' : ''}${w}`).join('\n');
+}
+
+// Returns the row's difficulty override, or null when everything is left at the built-in profile
+function readDifficulty(row) {
+  const difficulty = {};
+  const labels = {};
+  ['easy', 'medium', 'hard'].forEach(tier => {
+    const list = parseLabelList(row.querySelector(`.repo-${tier}-labels`).value);
+    if (list.length > 0) labels[tier] = list;
+  });
+  if (Object.keys(labels).length > 0) difficulty.labels = labels;
+
+  const deltas = {};
+  row.querySelectorAll('.repo-delta').forEach(input => {
+    const n = parseInt(input.value, 10);
+    if (Number.isFinite(n)) deltas[input.dataset.delta] = n;
+  });
+  if (Object.keys(deltas).length > 0) difficulty.deltas = deltas;
+
+  const weights = parseKeywordWeights(row.querySelector('.repo-keyword-weights').value);
+  if (Object.keys(weights).length > 0) difficulty.keywordWeights = weights;
+
+  return Object.keys(difficulty).length > 0 ? difficulty : null;
+}
+
+async function fetchClosedIssues(name, host) {
+  const res = await chrome.runtime.sendMessage({
+    type: 'FETCH_GITHUB',
+    url: `${apiBaseFor(host)}/repos/${name}/issues?state=closed&per_page=100`,
+    host,
+    owner: name.split('/')[0],
+    maxPages: 2
+  });
+  if (!res?.success) throw new Error(res?.error || 'Request failed');
+  return res.data.filter(i => !i.pull_request);
+}
+
+async function calibrateRow(row) {
+  const name = row.querySelector('.repo-name').value.trim().toLowerCase();
+  const status = row.querySelector('.calibrate-status');
+  const btn = row.querySelector('.calibrate-btn');
+  if (!REPO_PATTERN.test(name)) {
+    status.textContent = '⚠️ Enter owner/repo first';
+    return;
+  }
+
+  btn.disabled = true;
+  status.textContent = 'Reading closed issues…';
+  try {
+    const profile = resolveDifficultyProfile(readDifficulty(row) || {}, name);
+    const result = calibrateDifficultyProfile(await fetchClosedIssues(name, row.querySelector('.calibrate-host').value || DEFAULT_HOST), profile);
+    if (!result.ok) {
+      status.textContent = `⚠️ ${result.error}`;
+      return;
+    }
+    row.querySelector('.repo-keyword-weights').value = formatKeywordWeights(result.keywordWeights);
+    status.textContent = `${Object.keys(result.keywordWeights).length} weights from ${result.sample.easy} easy / ${result.sample.hard} hard issues · save to apply`;
+  } catch (err) {
+    status.textContent = `⚠️ ${err.message}`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function updateEmptyState(list, rowSelector, message) {
+  const empty = list.querySelector('.empty');
+  if (list.querySelectorAll(rowSelector).length === 0) {
+    if (!empty) list.innerHTML = `<div class="empty">${message}</div>`;
+  } else {
+    empty?.remove();
+  }
+}
+
+function updateRepoEmptyState() {
+  updateEmptyState(repoList, '.repo-override', 'No overrides yet.');
+}
+
+function updateHostEmptyState() {
+  updateEmptyState(hostList, '.host-row', 'Only github.com.');
+}
+
+function addRepoRow(name = '', override = {}) {
+  const row = repoTemplate.content.firstElementChild.cloneNode(true);
+  row.querySelector('.repo-name').value = name;
+  row.querySelector('.repo-keywords').value = (override.claimKeywords || []).join('\n');
+  row.querySelector('.repo-stale').value = override.staleClaimHours ?? '';
+  row.querySelector('.repo-ttl').value = override.cacheTtlMinutes ?? '';
+
+  const difficulty = override.difficulty || {};
+  ['easy', 'medium', 'hard'].forEach(tier => {
+    row.querySelector(`.repo-${tier}-labels`).value = (difficulty.labels?.[tier] || []).join(', ');
+  });
+  row.querySelectorAll('.repo-delta').forEach(input => {
+    input.placeholder = DEFAULT_DIFFICULTY_DELTAS[input.dataset.delta];
+    input.value = difficulty.deltas?.[input.dataset.delta] ?? '';
+  });
+  row.querySelector('.repo-keyword-weights').value = formatKeywordWeights(difficulty.keywordWeights);
+  fillHostSelect(row.querySelector('.calibrate-host'));
+  row.querySelector('.calibrate-btn').addEventListener('click', () => calibrateRow(row));
+  row.querySelector('.remove-repo-btn').addEventListener('click', () => {
+    row.remove();
+    updateRepoEmptyState();
+  });
+  repoList.appendChild(row);
+  updateRepoEmptyState();
+  return row;
+}
+
+function render(stored) {
+  const effective = resolveRadarConfig(stored);
+  globalKeywords.value = effective.claimKeywords.join('\n');
+  globalStale.value = effective.staleClaimHours;
+  globalTtl.value = effective.cacheTtlMinutes;
+  pageCapInputs.forEach(input => { input.value = effective[input.dataset.key]; });
+
+  repoList.innerHTML = '';
+  Object.entries(stored.repos).forEach(([name, override]) => addRepoRow(name, override));
+  updateRepoEmptyState();
+}
+
+// ─── Enterprise Hosts ─────────────────────────────────────────────────────────
+
+let savedHosts = [];
+
+function addHostRow(host = '') {
+  const row = hostTemplate.content.firstElementChild.cloneNode(true);
+  row.querySelector('.host-name').value = host;
+  const access = row.querySelector('.host-access');
+  if (host) {
+    chrome.permissions.contains({ origins: [hostOrigin(host)] }, granted => {
+      access.textContent = granted ? '✓ access granted' : 'access not granted';
+      access.classList.toggle('missing', !granted);
+    });
+  }
+  row.querySelector('.remove-host-btn').addEventListener('click', () => {
+    row.remove();
+    updateHostEmptyState();
+  });
+  hostList.appendChild(row);
+  updateHostEmptyState();
+  return row;
+}
+
+function renderHosts() {
+  chrome.storage.sync.get('enterprise_hosts', result => {
+    savedHosts = result.enterprise_hosts || [];
+    hostList.innerHTML = '';
+    savedHosts.forEach(host => addHostRow(host));
+    updateHostEmptyState();
+    fillHostSelect(profileHost);
+    repoList.querySelectorAll('.calibrate-host').forEach(fillHostSelect);
+  });
+}
+
+// github.com plus the saved enterprise hosts, keeping the current choice where it still exists
+function fillHostSelect(select) {
+  const current = select.value;
+  select.innerHTML = [DEFAULT_HOST, ...savedHosts].map(host => `<option value="${host}">${host}</option>`).join('');
+  if (savedHosts.includes(current)) select.value = current;
+}
+
+// Returns the hostnames, or null after flagging the first invalid row
+function readHosts() {
+  const hosts = [];
+  let invalid = null;
+  hostList.querySelectorAll('.host-row').forEach(row => {
+    const input = row.querySelector('.host-name');
+    const host = normalizeHost(input.value);
+    const ok = HOST_PATTERN.test(host) && host !== DEFAULT_HOST && !hosts.includes(host);
+    input.classList.toggle('invalid', !ok);
+    if (!ok) { invalid = invalid || input; return; }
+    hosts.push(host);
+  });
+  if (invalid) {
+    invalid.focus();
+    return null;
+  }
+  return hosts;
+}
+
+// ─── Token Profiles ───────────────────────────────────────────────────────────
+
+function describeProfile(profile) {
+  const parts = [profile.host, profile.kind === 'oauth' ? 'OAuth' : 'PAT'];
+  parts.push(profile.owners.length > 0 ? `owners: ${profile.owners.join(', ')}` : 'all other owners');
+  if (profile.login) parts.push(`@${profile.login}`);
+  if (profile.scopes) parts.push(`scopes: ${profile.scopes.join(', ') || 'none'}`);
+  if (!profile.remember) parts.push('this session only');
+  return parts.join(' · ');
+}
+
+async function renderProfiles() {
+  const profiles = await getTokenProfiles();
+  profileList.innerHTML = '';
+  profiles.forEach(profile => {
+    const row = profileTemplate.content.firstElementChild.cloneNode(true);
+    row.querySelector('.profile-name').textContent = profile.name;
+    row.querySelector('.profile-meta').textContent = describeProfile(profile);
+    row.querySelector('.test-profile-btn').addEventListener('click', () => testProfile(profile, row));
+    row.querySelector('.remove-profile-btn').addEventListener('click', async () => {
+      await removeTokenProfile(profile.id);
+      renderProfiles();
+    });
+    profileList.appendChild(row);
+  });
+  updateEmptyState(profileList, '.profile-row', 'No tokens yet · requests are anonymous (60/hr).');
+}
+
+function testProfile(profile, row) {
+  const result = row.querySelector('.profile-test-result');
+  result.classList.remove('error');
+  result.textContent = 'Testing…';
+  chrome.runtime.sendMessage({ type: 'TEST_TOKEN', profileId: profile.id }, response => {
+    if (!response?.success) {
+      result.classList.add('error');
+      result.textContent = `⚠️ ${response?.error || 'Test failed'}`;
+      return;
+    }
+    const { login, scopes, rate } = response.data;
+    result.textContent = rate.core ? `✓ ${rate.core.remaining.toLocaleString()}/${rate.core.limit.toLocaleString()} req/hr left` : '✓ valid · no rate limit';
+    row.querySelector('.profile-meta').textContent = describeProfile({ ...profile, login, scopes });
+  });
+}
+
+document.getElementById('add-profile-btn').addEventListener('click', async () => {
+  const nameInput = document.getElementById('profile-name');
+  const tokenInput = document.getElementById('profile-token');
+  const ownersInput = document.getElementById('profile-owners');
+  const token = tokenInput.value.trim();
+  const owners = parseLabelList(ownersInput.value);
+
+  tokenInput.classList.toggle('invalid', !isValidToken(token));
+  if (!isValidToken(token)) {
+    profileStatus.textContent = `⚠️ ${TOKEN_FORMAT_HINT}`;
+    return;
+  }
+  // Two fallbacks, or two profiles claiming one owner, would make the choice ambiguous
+  const host = profileHost.value;
+  const clash = (await getTokenProfiles()).find(p => p.host === host &&
+    (owners.length === 0 ? p.owners.length === 0 : p.owners.some(o => owners.includes(o))));
+  if (clash) {
+    profileStatus.textContent = `⚠️ "${clash.name}" already covers ${owners.length === 0 ? 'all other owners' : 'one of these owners'} on ${host}`;
+    return;
+  }
+
+  await saveTokenProfile({
+    name: nameInput.value.trim() || (owners[0] || 'Personal'),
+    host,
+    kind: token.startsWith('gho_') ? 'oauth' : 'pat',
+    owners,
+    remember: document.getElementById('profile-remember').checked
+  }, token);
+  nameInput.value = tokenInput.value = ownersInput.value = '';
+  profileStatus.textContent = '✓ Profile added';
+  renderProfiles();
+});
+
+const oauthClientIdInput = document.getElementById('oauth-client-id');
+const oauthClientIdStatus = document.getElementById('oauth-client-id-status');
+
+function describeOAuthClientId(stored) {
+  if (stored) oauthClientIdStatus.textContent = '✓ Sign-in enabled';
+  else oauthClientIdStatus.textContent = OAUTH_CLIENT_ID ? 'Using the built-in client ID' : 'Sign-in is off';
+}
+
+chrome.storage.sync.get('oauth_client_id', result => {
+  oauthClientIdInput.value = result.oauth_client_id || '';
+  describeOAuthClientId(result.oauth_client_id);
+});
+
+document.getElementById('oauth-client-id-btn').addEventListener('click', () => {
+  const value = oauthClientIdInput.value.trim();
+  const invalid = value && !OAUTH_CLIENT_ID_PATTERN.test(value);
+  oauthClientIdInput.classList.toggle('invalid', !!invalid);
+  if (invalid) {
+    oauthClientIdStatus.textContent = '⚠️ Paste the client ID exactly as GitHub shows it';
+    return;
+  }
+
+  if (value) chrome.storage.sync.set({ oauth_client_id: value }, () => describeOAuthClientId(value));
+  else chrome.storage.sync.remove('oauth_client_id', () => describeOAuthClientId(null));
+});
+
+// ─── Developer ───────────────────────────────────────────────────────────────
+
+function describeApiBase(base) {
+  apiBaseStatus.textContent = base ? `Replaying from ${base}` : 'Using api.github.com';
+}
+
+chrome.storage.local.get('api_base_override', result => {
+  apiBaseInput.value = result.api_base_override || '';
+  describeApiBase(result.api_base_override);
+});
+
+document.getElementById('api-base-btn').addEventListener('click', () => {
+  const value = apiBaseInput.value.trim().replace(/\/+$/, '');
+  let url = null;
+  try { url = value ? new URL(value) : null; } catch (_) {}
+  const invalid = value && (!url || !['http:', 'https:'].includes(url.protocol));
+  apiBaseInput.classList.toggle('invalid', !!invalid);
+  if (invalid) {
+    apiBaseStatus.textContent = '⚠️ Enter a URL like http://127.0.0.1:8787';
+    return;
+  }
+
+  if (value) chrome.storage.local.set({ api_base_override: value }, () => describeApiBase(value));
+  else chrome.storage.local.remove('api_base_override', () => describeApiBase(null));
+});
+
+function showStatus(text, isError = false) {
+  statusText.textContent = text;
+  statusText.style.color = isError ? 'var(--red)' : '';
+}
+
+// Load saved options
+getStoredRadarConfig().then(render);
+renderHosts();
+renderProfiles();
+
+addHostBtn.addEventListener('click', () => {
+  addHostRow().querySelector('.host-name').focus();
+});
+
+addRepoBtn.addEventListener('click', () => {
+  addRepoRow().querySelector('.repo-name').focus();
+});
+
+resetBtn.addEventListener('click', () => {
+  render({ global: {}, repos: {} });
+  showStatus('Defaults restored · save to apply');
+});
+
+// Save
+saveBtn.addEventListener('click', async () => {
+  const keywords = parseKeywords(globalKeywords.value);
+  const global = {
+    claimKeywords: keywords.length > 0 ? keywords : null,
+    staleClaimHours: parsePositive(globalStale),
+    cacheTtlMinutes: parsePositive(globalTtl)
+  };
+  pageCapInputs.forEach(input => { global[input.dataset.key] = parsePositive(input); });
+
+  const repos = {};
+  let invalid = null;
+  repoList.querySelectorAll('.repo-override').forEach(row => {
+    const nameInput = row.querySelector('.repo-name');
+    const name = nameInput.value.trim().toLowerCase();
+    nameInput.classList.toggle('invalid', !REPO_PATTERN.test(name));
+    if (!REPO_PATTERN.test(name)) { invalid = invalid || nameInput; return; }
+
+    const override = {};
+    const repoKeywords = parseKeywords(row.querySelector('.repo-keywords').value);
+    if (repoKeywords.length > 0) override.claimKeywords = repoKeywords;
+    const stale = parsePositive(row.querySelector('.repo-stale'));
+    if (stale) override.staleClaimHours = stale;
+    const ttl = parsePositive(row.querySelector('.repo-ttl'));
+    if (ttl) override.cacheTtlMinutes = ttl;
+    const difficulty = readDifficulty(row);
+    if (difficulty) override.difficulty = difficulty;
+    repos[name] = override;
+  });
+
+  if (invalid) {
+    invalid.focus();
+    showStatus('⚠️ Repository must look like owner/repo', true);
+    return;
+  }
+
+  const hosts = readHosts();
+  if (!hosts) {
+    showStatus('⚠️ Enter a hostname like github.example.com (github.com is built in)', true);
+    return;
+  }
+
+  // Must run inside the click: Chrome only shows the permission prompt for a user gesture
+  const granted = hosts.length === 0 ||
+    await chrome.permissions.request({ origins: hosts.map(hostOrigin) });
+  const dropped = savedHosts.filter(host => !hosts.includes(host));
+  if (dropped.length > 0) chrome.permissions.remove({ origins: dropped.map(hostOrigin) });
+
+  chrome.storage.sync.set({
+    radar_config: { global, repos },
+    enterprise_hosts: hosts
+  }, () => {
+    if (chrome.runtime.lastError) {
+      showStatus(`⚠️ ${chrome.runtime.lastError.message}`, true);
+      return;
+    }
+    renderHosts();
+    saveBtn.textContent = '✓ Saved!';
+    saveBtn.classList.add('saved');
+    showStatus(`${Object.keys(repos).length} repository override${Object.keys(repos).length === 1 ? '' : 's'}` +
+      (granted ? '' : ' · ⚠️ host access was not granted, the radar stays off on those hosts'));
+
+    setTimeout(() => {
+      saveBtn.textContent = 'Save Options';
+      saveBtn.classList.remove('saved');
+    }, 2000);
+  });
+});
@@ -9,12 +9,7 @@ const featureIds = ['feat-pr', 'feat-claims', 'feat-momentum', 'feat-forks', 'fe
 const featureKeys = ['pr', 'claims', 'momentum', 'forks', 'workload'];
 
 // Load saved settings
-chrome.storage.sync.get(['github_pat', 'features'], result => {
-  if (result.github_pat) {
-    patInput.value = result.github_pat;
-    statusText.textContent = '✓ PAT configured';
-  }
-
+chrome.storage.sync.get('features', result => {
   const features = result.features || {};
   featureIds.forEach((id, i) => {
     const el = document.getElementById(id);
@@ -23,12 +18,244 @@ chrome.storage.sync.get(['github_pat', 'features'], result => {
   });
 });
 
+// Token for github.com repositories without an owner-specific profile (tokens.js)
+const tokenSummary = document.getElementById('token-summary');
+const tokenResult = document.getElementById('token-result');
+const signInBtn = document.getElementById('sign-in-btn');
+const testTokenBtn = document.getElementById('test-token-btn');
+const deviceFlowBox = document.getElementById('device-flow');
+
+// Device-flow sign-in needs an OAuth App client ID (built in or set on the options page); without one only pasted tokens work
+signInBtn.hidden = true;
+getOAuthClientId().then(clientId => { signInBtn.hidden = !clientId; });
+
+let defaultProfile = null;
+
+async function loadDefaultProfile() {
+  defaultProfile = resolveTokenProfile(await getTokenProfiles(), DEFAULT_HOST);
+  const token = defaultProfile ? await getProfileToken(defaultProfile) : null;
+  patInput.value = token || '';
+  testTokenBtn.disabled = !token;
+  if (!token) {
+    tokenSummary.textContent = 'No token on this device';
+    return;
+  }
+  const who = defaultProfile.login ? ` · @${defaultProfile.login}` : '';
+  const scopes = defaultProfile.scopes ? ` · ${defaultProfile.scopes.join(', ') || 'no scopes'}` : '';
+  // Profile names are typed by the user and scopes come from GitHub's response; keep both as text
+  const name = document.createElement('strong');
+  name.textContent = defaultProfile.name;
+  tokenSummary.replaceChildren(name, ` · ${defaultProfile.kind === 'oauth' ? 'OAuth' : 'PAT'}${who}${scopes}`);
+  statusText.textContent = '✓ Token configured';
+}
+
+loadDefaultProfile();
+
+function renderDeviceFlow(flow) {
+  deviceFlowBox.hidden = flow?.status !== 'pending';
+  signInBtn.disabled = flow?.status === 'pending';
+  if (!flow) return;
+  document.getElementById('device-code').textContent = flow.userCode;
+  document.getElementById('device-link').href = flow.verificationUri;
+  if (flow.status === 'done') {
+    tokenResult.textContent = `✓ Signed in · saved as "${flow.profileName}"`;
+    chrome.storage.session.remove('device_flow');
+    loadDefaultProfile();
+  } else if (flow.status === 'error') {
+    tokenResult.textContent = `⚠️ ${flow.error}`;
+    chrome.storage.session.remove('device_flow');
+  }
+}
+
+chrome.storage.session.get('device_flow', result => renderDeviceFlow(result.device_flow));
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes.device_flow?.newValue) renderDeviceFlow(changes.device_flow.newValue);
+});
+
+signInBtn.addEventListener('click', () => {
+  tokenResult.textContent = '';
+  // Signing in again re-authorizes the current fallback profile instead of adding another one
+  const profile = defaultProfile ? { ...defaultProfile } : { name: 'GitHub sign-in' };
+  chrome.runtime.sendMessage({ type: 'START_DEVICE_FLOW', profile }, response => {
+    if (!response?.success) {
+      tokenResult.textContent = `⚠️ ${response?.error || 'Sign-in failed'}`;
+      return;
+    }
+    renderDeviceFlow(response.data);
+    chrome.tabs.create({ url: response.data.verificationUri });
+  });
+});
+
+document.getElementById('cancel-sign-in-btn').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'CANCEL_DEVICE_FLOW' }, () => renderDeviceFlow(null));
+});
+
+testTokenBtn.addEventListener('click', () => {
+  testTokenBtn.disabled = true;
+  tokenResult.textContent = 'Testing…';
+  chrome.runtime.sendMessage({ type: 'TEST_TOKEN', profileId: defaultProfile.id }, response => {
+    testTokenBtn.disabled = false;
+    if (!response?.success) {
+      tokenResult.textContent = `⚠️ ${response?.error || 'Test failed'}`;
+      return;
+    }
+    const { login, scopes, rate } = response.data;
+    const core = rate.core ? ` · ${rate.core.remaining.toLocaleString()}/${rate.core.limit.toLocaleString()} req/hr left` : '';
+    tokenResult.textContent = `✓ @${login} · ${scopes ? `scopes: ${scopes.join(', ') || 'none'}` : 'fine-grained token'}${core}`;
+    loadDefaultProfile();
+  });
+});
+
+// API budget, written by the service worker from X-RateLimit headers
+const budgetList = document.getElementById('budget-list');
+
+function renderBudget(budget) {
+  const rows = ['core', 'graphql', 'search']
+    .filter(name => budget?.[name] && budget[name].reset > Date.now())
+    .map(name => {
+      const { limit, remaining, reset } = budget[name];
+      const pct = limit > 0 ? Math.round(remaining / limit * 100) : 0;
+      const level = remaining === 0 ? 'out' : pct <= 10 ? 'low' : '';
+      return `<div class="budget-row">
+        <span class="budget-name">${name}</span>
+        <div class="budget-bar-wrap"><div class="budget-bar ${level}" style="width:${pct}%"></div></div>
+        <span>${remaining.toLocaleString()}/${limit.toLocaleString()} · resets ${new Date(reset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+      </div>`;
+    });
+  budgetList.innerHTML = rows.length > 0 ? rows.join('') : '<div class="hint">No requests made yet this hour.</div>';
+}
+
+// Replay mode (options page → Developer) points github.com API calls at another server
+const replayNote = document.getElementById('replay-note');
+
+function renderReplayNote(base) {
+  replayNote.textContent = base ? `⚠️ Replay mode: API calls go to ${base}` : '';
+}
+
+chrome.storage.local.get(['rate_budget', 'api_base_override'], result => {
+  renderBudget(result.rate_budget);
+  renderReplayNote(result.api_base_override);
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.rate_budget) renderBudget(changes.rate_budget.newValue);
+  if (area === 'local' && changes.api_base_override) renderReplayNote(changes.api_base_override.newValue);
+});
+
+// Response cache kept by the service worker in IndexedDB
+const cacheSize = document.getElementById('cache-size');
+const clearCacheBtn = document.getElementById('clear-cache-btn');
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function refreshCacheSize() {
+  chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' }, response => {
+    if (!response?.success) {
+      cacheSize.textContent = 'Cache: unavailable';
+      return;
+    }
+    const { entries, bytes } = response.data;
+    cacheSize.textContent = `Cache: ${entries} response${entries === 1 ? '' : 's'} · ${formatBytes(bytes)}`;
+    clearCacheBtn.disabled = entries === 0;
+  });
+}
+
+refreshCacheSize();
+
+clearCacheBtn.addEventListener('click', () => {
+  clearCacheBtn.disabled = true;
+  chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' }, () => refreshCacheSize());
+});
+
 // Eye toggle
 eyeBtn.addEventListener('click', () => {
   patInput.type = patInput.type === 'password' ? 'text' : 'password';
   eyeBtn.textContent = patInput.type === 'password' ? '👁' : '🙈';
 });
 
+// Tabs
+document.querySelectorAll('.tab').forEach(tab => {
+  tab.addEventListener('click', () => {
+    document.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t === tab));
+    document.querySelectorAll('.tab-panel').forEach(panel => { panel.hidden = panel.id !== `tab-${tab.dataset.tab}`; });
+  });
+});
+
+// Issue finder (recommender.js); the last search is remembered for the next time the popup opens
+const finderQuery = document.getElementById('finder-query');
+const finderTarget = document.getElementById('finder-target');
+const finderBtn = document.getElementById('finder-btn');
+const finderStatus = document.getElementById('finder-status');
+const finderResults = document.getElementById('finder-results');
+
+chrome.storage.local.get('finder_last', result => {
+  if (!result.finder_last) return;
+  finderQuery.value = result.finder_last.query;
+  finderTarget.value = result.finder_last.target;
+});
+
+// Issue titles come from other people; keep them as text
+function escapeText(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function renderCandidate(c) {
+  const stale = c.staleClaims.length > 0 ? ` · stale claim by @${c.staleClaims[0]}` : '';
+  return `<a class="finder-item" href="${c.url}" target="_blank">
+    <div class="finder-title">${escapeText(c.title)}</div>
+    <div class="finder-meta">
+      <span class="finder-fit">${c.fit}% fit</span>
+      ${c.repo}#${c.number} · <span style="color:${c.difficulty.color}">${c.difficulty.emoji} ${c.difficulty.label}</span>
+      · <span style="color:${c.momentum.color}">${c.momentum.label}</span>${stale}
+    </div>
+  </a>`;
+}
+
+finderBtn.addEventListener('click', async () => {
+  const query = parseRecommendQuery(finderQuery.value);
+  if (!query) {
+    finderStatus.textContent = '⚠️ Enter owner/repo names or one topic';
+    return;
+  }
+  chrome.storage.local.set({ finder_last: { query: finderQuery.value.trim(), target: finderTarget.value } });
+
+  finderBtn.disabled = true;
+  finderResults.innerHTML = '';
+  try {
+    const { candidates, searched, checked } = await recommendIssues(query, finderTarget.value, text => {
+      finderStatus.textContent = text;
+    });
+    finderResults.innerHTML = candidates.map(renderCandidate).join('');
+    finderStatus.textContent = searched.length === 0
+      ? 'No repositories found for that topic.'
+      : `${candidates.length} clear to contribute · ${checked} checked in ${searched.length} repositor${searched.length === 1 ? 'y' : 'ies'}`;
+  } catch (e) {
+    finderStatus.textContent = `⚠️ ${e.message}`;
+  } finally {
+    finderBtn.disabled = false;
+  }
+});
+
+// Options page
+document.getElementById('options-link').addEventListener('click', e => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// Health dashboard, opened for the repository in the current tab when there is one
+document.getElementById('dashboard-link').addEventListener('click', e => {
+  e.preventDefault();
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    const match = tab?.url?.match(/^https:\/\/github\.com\/([\w.-]+\/[\w.-]+)/);
+    chrome.tabs.create({ url: chrome.runtime.getURL(`dashboard.html${match ? `?repo=${match[1]}` : ''}`) });
+  });
+});
+
 // Save
 saveBtn.addEventListener('click', async () => {
   const pat = patInput.value.trim();
@@ -37,17 +264,29 @@ saveBtn.addEventListener('click', async () => {
     features[featureKeys[i]] = document.getElementById(id).checked;
   });
 
-  // Validate PAT format
-  if (pat && !pat.startsWith('ghp_') && !pat.startsWith('github_pat_')) {
-    statusText.textContent = '⚠️ PAT should start with ghp_';
+  // Validate token format
+  if (pat && !isValidToken(pat)) {
+    statusText.textContent = `⚠️ ${TOKEN_FORMAT_HINT}`;
     statusText.style.color = '#cf222e';
     return;
   }
 
-  chrome.storage.sync.set({ github_pat: pat, features }, () => {
+  const stored = defaultProfile ? await getProfileToken(defaultProfile) : null;
+  if (!pat && defaultProfile) {
+    await removeTokenProfile(defaultProfile.id);
+  } else if (pat && pat !== stored) {
+    await saveTokenProfile({
+      ...(defaultProfile || { name: 'Personal' }),
+      kind: pat.startsWith('gho_') ? 'oauth' : 'pat',
+      login: null, scopes: null, testedAt: null
+    }, pat);
+  }
+  await loadDefaultProfile();
+
+  chrome.storage.sync.set({ features }, () => {
     saveBtn.textContent = '✓ Saved!';
     saveBtn.classList.add('saved');
-    statusText.textContent = pat ? '✓ PAT configured · 5000 req/hr' : 'No PAT · 60 req/hr';
+    statusText.textContent = pat ? '✓ Token configured · 5000 req/hr' : 'No token · 60 req/hr';
     statusText.style.color = '';
 
     setTimeout(() => {
@@ -0,0 +1,120 @@
+/**
+ * GitHub Issue Radar — pr-links.js
+ * How a pull request is linked to an issue, shared by the content script, the service worker and extension pages
+ *
+ * linkType is one of:
+ *   'closes'   – closing keyword ("fixes #12") or GraphQL willCloseTarget
+ *   'manual'   – linked by hand from the Development sidebar
+ *   'mentions' – only cross-references the issue; does not count as work on it
+ */
+
+const PR_LINK_LABELS = { closes: 'closes', manual: 'linked', mentions: 'mentions' };
+
+const CLOSING_KEYWORDS = ['close', 'closes', 'closed', 'fix', 'fixes', 'fixed', 'resolve', 'resolves', 'resolved'];
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches "fixes #12", "Closes: owner/repo#12" and "resolves https://github.com/owner/repo/issues/12"
+function closesIssue(text, owner, repo, issueNumber) {
+  if (!text) return false;
+  const repoRef = `(?:${escapeRegExp(owner)}/${escapeRegExp(repo)})?#`;
+  const urlRef = `https?://[^\\s/]+/${escapeRegExp(owner)}/${escapeRegExp(repo)}/issues/`;
+  const pattern = new RegExp(
+    `\\b(?:${CLOSING_KEYWORDS.join('|')}):?\\s+(?:${repoRef}|${urlRef})${issueNumber}\\b`, 'i'
+  );
+  return pattern.test(text);
+}
+
+function isTargetingPR(pr) {
+  return pr.linkType === 'closes' || pr.linkType === 'manual';
+}
+
+// Builds the PR list from REST timeline events ("cross-referenced", "connected" and "disconnected" carry the
+// PR in source.issue). Events are chronological, so a later "disconnected" undoes an earlier manual link.
+// With includeClosed, closed and merged PRs are kept too (merged PRs have pull_request.merged_at).
+// `commits` maps a PR number to its REST /pulls/N/commits list; a closing keyword in any message counts.
+function linkedPRsFromTimeline(events, owner, repo, issueNumber, { includeClosed = false, commits = {} } = {}) {
+  const prs = new Map();
+  const closing = new Set();
+  const manual = new Set();
+  (events || []).forEach(ev => {
+    if (!['cross-referenced', 'connected', 'disconnected'].includes(ev.event)) return;
+    const src = ev.source?.issue;
+    if (!src?.pull_request) return;
+    if (src.repository && src.repository.full_name.toLowerCase() !== `${owner}/${repo}`.toLowerCase()) return;
+    if (ev.event === 'connected') manual.add(src.number);
+    if (ev.event === 'disconnected') manual.delete(src.number);
+    if (closesIssue(`${src.title}\n${src.body || ''}`, owner, repo, issueNumber)) closing.add(src.number);
+    prs.set(src.number, src);
+  });
+  Object.entries(commits).forEach(([number, list]) => {
+    if ((list || []).some(c => closesIssue(c.commit?.message, owner, repo, issueNumber))) closing.add(Number(number));
+  });
+
+  return [...prs.values()]
+    .filter(src => includeClosed || src.state === 'open')
+    .map(src => ({
+      url: src.html_url, number: src.number, title: src.title,
+      isDraft: !!src.draft, user: src.user?.login, state: src.state,
+      merged: !!src.pull_request.merged_at,
+      createdAt: src.created_at, updatedAt: src.updated_at,
+      closedAt: src.closed_at, mergedAt: src.pull_request.merged_at,
+      linkType: closing.has(src.number) ? 'closes' : manual.has(src.number) ? 'manual' : 'mentions',
+      source: 'timeline'
+    }));
+}
+
+// REST pull list → PRs whose title or body reference "#N"; lets one list call cover many issues
+function matchPRsToIssue(pulls, owner, repo, issueNumber) {
+  const ref = new RegExp(`(^|[^\\w])#${issueNumber}\\b`);
+  return pulls
+    .filter(pr => ref.test(`${pr.title || ''}\n${pr.body || ''}`))
+    .map(pr => ({
+      url: pr.html_url, number: pr.number, title: pr.title, isDraft: pr.draft, user: pr.user?.login,
+      state: pr.state, createdAt: pr.created_at,
+      linkType: closesIssue(`${pr.title}\n${pr.body || ''}`, owner, repo, issueNumber) ? 'closes' : 'mentions',
+      source: 'api'
+    }));
+}
+
+// ─── Attempt History ─────────────────────────────────────────────────────────
+
+const ATTEMPT_OUTCOME_LABELS = {
+  'open': '🟢 Still open',
+  'merged': '✅ Merged',
+  'superseded': '↪ Superseded',
+  'closed-by-author': '🚪 Closed by author',
+  'closed-by-maintainer': '⛔ Closed by maintainer',
+  'closed': '✖ Closed'
+};
+
+// A closed PR counts as superseded when a newer attempt was opened before (or just after) it closed
+const SUPERSEDE_WINDOW_HOURS = 48;
+
+// attempts: PRs with { number, state, merged, createdAt, closedAt, user, closedBy }.
+// Returns them oldest-first with an `outcome` and, for superseded ones, `supersededBy`.
+function classifyAttempts(attempts) {
+  const sorted = [...attempts].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  return sorted.map(pr => {
+    if (pr.merged) return { ...pr, outcome: 'merged' };
+    if (pr.state === 'open') return { ...pr, outcome: 'open' };
+
+    const closedAt = new Date(pr.closedAt).getTime();
+    const successor = sorted.find(other =>
+      other.number !== pr.number &&
+      new Date(other.createdAt) > new Date(pr.createdAt) &&
+      new Date(other.createdAt).getTime() <= closedAt + SUPERSEDE_WINDOW_HOURS * 3600000
+    );
+    if (successor) return { ...pr, outcome: 'superseded', supersededBy: successor.number };
+
+    if (!pr.closedBy) return { ...pr, outcome: 'closed' };
+    return { ...pr, outcome: pr.closedBy === pr.user ? 'closed-by-author' : 'closed-by-maintainer' };
+  });
+}
+
+// Superseded attempts aren't failures: the work carried on in another PR
+function isFailedAttempt(attempt) {
+  return ['closed-by-author', 'closed-by-maintainer', 'closed'].includes(attempt.outcome);
+}
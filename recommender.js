@@ -0,0 +1,123 @@
+/**
+ * GitHub Issue Radar — recommender.js
+ * "Find me an issue": searches open issues in a few repositories or a topic, drops anything with a
+ * linked PR, an assignee or a fresh claim, and ranks the rest by how close they sit to the target
+ * difficulty and how alive they are. Used by the popup; load after config.js, momentum.js and scoring.js.
+ */
+
+const RECOMMEND_SEARCH_LIMIT = 50;   // issues read from one search page
+const RECOMMEND_DETAIL_LIMIT = 15;   // closest candidates whose comments are read for claims and replies
+const RECOMMEND_TOPIC_REPOS = 10;    // most-starred repositories searched for a topic
+const RECOMMEND_MAX_DISTANCE = 25;   // difficulty points a result may be away from the target
+const SEARCH_QUERY_MAX_LENGTH = 256; // GitHub rejects longer search queries
+
+// Midpoints of calcDifficultyScore's bands
+const RECOMMEND_TARGETS = {
+  beginner: { label: 'Beginner', score: 14 },
+  'easy-medium': { label: 'Easy–Medium', score: 39 },
+  medium: { label: 'Intermediate', score: 59 },
+  hard: { label: 'Advanced', score: 75 }
+};
+
+function recommenderRequest(url, owner = null, maxPages = 1) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: 'FETCH_GITHUB', url, host: DEFAULT_HOST, owner, priority: 'normal', maxPages }, response => {
+      if (response?.success) resolve(response.data);
+      else reject(new Error(response?.error || chrome.runtime.lastError?.message || 'No response'));
+    });
+  });
+}
+
+// "owner/repo, owner/repo" or a single topic such as "rust" or "topic:good-first-issue"
+function parseRecommendQuery(text) {
+  const parts = text.split(/[\s,]+/).map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (parts.length > 0 && parts.every(p => /^[\w.-]+\/[\w.-]+$/.test(p))) return { repos: [...new Set(parts)] };
+  const topic = text.trim().toLowerCase().replace(/^topic:/, '').replace(/\s+/g, '-');
+  return /^[a-z0-9][a-z0-9-]*$/.test(topic) ? { topic } : null;
+}
+
+async function resolveRecommendRepos(query) {
+  if (query.repos) return query.repos;
+  const q = encodeURIComponent(`topic:${query.topic} archived:false`);
+  const result = await recommenderRequest(
+    `https://api.github.com/search/repositories?q=${q}&sort=stars&order=desc&per_page=${RECOMMEND_TOPIC_REPOS}`
+  );
+  return result.items.map(r => r.full_name.toLowerCase());
+}
+
+// Linked PRs and assignees are filtered by the search itself; repos that don't fit the length limit are left out
+function buildIssueQuery(repos) {
+  let q = 'is:issue is:open no:assignee -linked:pr archived:false';
+  const searched = [];
+  repos.forEach(repo => {
+    if (q.length + repo.length + 6 > SEARCH_QUERY_MAX_LENGTH) return;
+    q += ` repo:${repo}`;
+    searched.push(repo);
+  });
+  return { q, searched };
+}
+
+/**
+ * Resolves to { candidates, searched, checked }, best fit first. Each candidate is
+ * { url, title, repo, number, labels, difficulty, momentum, staleClaims, fit }.
+ * onProgress(text) reports each step for the popup.
+ */
+async function recommendIssues(query, targetLevel, onProgress = () => {}) {
+  const target = RECOMMEND_TARGETS[targetLevel] || RECOMMEND_TARGETS.beginner;
+  const repos = await resolveRecommendRepos(query);
+  if (repos.length === 0) return { candidates: [], searched: [], checked: 0 };
+
+  const { q, searched } = buildIssueQuery(repos);
+  onProgress(`Searching ${searched.length} repositor${searched.length === 1 ? 'y' : 'ies'}…`);
+  const [results, stored] = await Promise.all([
+    recommenderRequest(`https://api.github.com/search/issues?q=${encodeURIComponent(q)}&sort=updated&order=desc&per_page=${RECOMMEND_SEARCH_LIMIT}`),
+    getStoredRadarConfig()
+  ]);
+
+  // First pass scores title, body and labels only, so comment reads go to the likeliest fits
+  const estimated = results.items
+    .filter(issue => !issue.pull_request)
+    .map(issue => {
+      const [owner, repo] = issue.repository_url.split('/').slice(-2);
+      const config = resolveRadarConfig(stored, owner, repo);
+      const estimate = calcDifficultyScore(issue, [], [], config.difficulty);
+      return { issue, owner, repo, config, distance: Math.abs(estimate.score - target.score) };
+    })
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, RECOMMEND_DETAIL_LIMIT);
+
+  onProgress(`Checking claims on ${estimated.length} issue${estimated.length === 1 ? '' : 's'}…`);
+  const checked = await Promise.all(estimated.map(async ({ issue, owner, repo, config }) => {
+    const comments = issue.comments > 0
+      ? await recommenderRequest(`${issue.url}/comments?per_page=100`, owner, config.maxCommentPages).catch(() => null)
+      : [];
+    if (!comments) return null;
+
+    const claims = evaluateClaims(comments, {
+      claimKeywords: config.claimKeywords,
+      staleClaimHours: config.staleClaimHours
+    });
+    if (claims.some(c => c.state === 'fresh')) return null;
+
+    const difficulty = calcDifficultyScore(issue, comments, [], config.difficulty);
+    const momentum = calcMomentumScore({ issue, comments });
+    const distance = Math.abs(difficulty.score - target.score);
+    if (!momentum || distance > RECOMMEND_MAX_DISTANCE) return null;
+
+    return {
+      url: issue.html_url,
+      title: issue.title,
+      repo: `${owner}/${repo}`,
+      number: issue.number,
+      labels: (issue.labels || []).map(l => l.name),
+      difficulty,
+      momentum,
+      staleClaims: claims.filter(c => c.state === 'stale').map(c => c.claimer),
+      // Being off target costs twice what momentum earns
+      fit: Math.max(0, Math.min(100, momentum.score - 2 * distance + 25))
+    };
+  }));
+
+  const candidates = checked.filter(Boolean).sort((a, b) => b.fit - a.fit);
+  return { candidates, searched, checked: estimated.length };
+}
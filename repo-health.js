@@ -0,0 +1,105 @@
+/**
+ * GitHub Issue Radar — repo-health.js
+ * Repository-level numbers for dashboard.html, aggregated over a sample of recent issues with the same
+ * rules the banner applies to one issue (claims.js, momentum.js, pr-links.js).
+ */
+
+const HEALTH_SAMPLE_SIZE = 40;        // most recent issues whose comments are read
+const HEALTH_TOP_MAINTAINERS = 5;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// First reply from a maintainer other than the reporter
+function firstMaintainerReply(issue, comments) {
+  return comments.find(c => MAINTAINER_ASSOCIATIONS.includes(c.author_association) && c.user?.login !== issue.user?.login) || null;
+}
+
+/**
+ * issues: recent issues (REST, pull requests removed), comments: Map issue number → comments,
+ * pulls: recent PRs in any state, openPulls: the open PR backlog, config: effective repo config.
+ * Returns {
+ *   sample, responses: { medianHours, answered, unanswered },
+ *   stale: { stalled, open, share }, claims: { total, converted, rate },
+ *   backlog: { open, drafts, medianAgeDays, oldest }, maintainers: [{ login, comments, issues }],
+ *   activity: { issues, replies }   // 30-day timelines for renderActivityChart
+ * }
+ */
+function computeRepoHealth({ owner, repo, issues, comments, pulls, openPulls, config }) {
+  const responseHours = [];
+  let unanswered = 0;
+  let stalled = 0;
+  let claimTotal = 0;
+  let converted = 0;
+  const maintainers = new Map();
+  const replies = [];
+
+  issues.forEach(issue => {
+    const thread = comments.get(issue.number) || [];
+
+    const reply = firstMaintainerReply(issue, thread);
+    if (reply) responseHours.push((new Date(reply.created_at) - new Date(issue.created_at)) / 3600000);
+    else if (issue.state === 'open') unanswered++;
+
+    if (issue.state === 'open' && calcMomentumScore({ issue, comments: thread })?.label === 'Stalled') stalled++;
+
+    // A claim converts when the claimer opened a PR referencing the issue after claiming it
+    const prs = matchPRsToIssue(pulls, owner, repo, issue.number);
+    evaluateClaims(thread, {
+      claimKeywords: config.claimKeywords,
+      staleClaimHours: config.staleClaimHours
+    }).forEach(claim => {
+      claimTotal++;
+      if (prs.some(pr => pr.user === claim.claimer && new Date(pr.createdAt) >= new Date(claim.claimedAt))) converted++;
+    });
+
+    thread.filter(c => MAINTAINER_ASSOCIATIONS.includes(c.author_association) && c.user?.login).forEach(c => {
+      const entry = maintainers.get(c.user.login) || { login: c.user.login, comments: 0, issues: new Set() };
+      entry.comments++;
+      entry.issues.add(issue.number);
+      maintainers.set(c.user.login, entry);
+      replies.push(c);
+    });
+  });
+
+  const openIssues = issues.filter(i => i.state === 'open').length;
+  const ages = openPulls.map(pr => (Date.now() - new Date(pr.created_at)) / 86400000);
+  const oldest = openPulls.reduce((a, b) => (!a || new Date(b.created_at) < new Date(a.created_at) ? b : a), null);
+
+  return {
+    sample: issues.length,
+    responses: {
+      medianHours: median(responseHours),
+      answered: responseHours.length,
+      unanswered
+    },
+    stale: {
+      stalled,
+      open: openIssues,
+      share: openIssues > 0 ? Math.round(stalled / openIssues * 100) : 0
+    },
+    claims: {
+      total: claimTotal,
+      converted,
+      rate: claimTotal > 0 ? Math.round(converted / claimTotal * 100) : null
+    },
+    backlog: {
+      open: openPulls.length,
+      drafts: openPulls.filter(pr => pr.draft).length,
+      medianAgeDays: ages.length > 0 ? Math.round(median(ages)) : null,
+      oldest: oldest ? { number: oldest.number, title: oldest.title, url: oldest.html_url, createdAt: oldest.created_at } : null
+    },
+    maintainers: [...maintainers.values()]
+      .map(m => ({ login: m.login, comments: m.comments, issues: m.issues.size }))
+      .sort((a, b) => b.comments - a.comments)
+      .slice(0, HEALTH_TOP_MAINTAINERS),
+    activity: {
+      issues: buildActivityTimeline(issues),
+      replies: buildActivityTimeline(replies)
+    }
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * GitHub Issue Radar — response-cache.js
+ * IndexedDB response cache for the service worker.
+ *
+ * Entries are { key, data, etag, lastModified, link, storedAt, accessedAt, size }. An entry younger than its
+ * endpoint's TTL is served as is; an older one is served immediately and refreshed in the background
+ * (stale-while-revalidate); one past CACHE_STALE_MAX_AGE_MS is refetched before answering.
+ * Least recently used entries are evicted once the cache grows past CACHE_MAX_BYTES.
+ */
+
+const CACHE_DB_NAME = 'radar-cache';
+const CACHE_STORE = 'responses';
+const CACHE_MAX_BYTES = 25 * 1024 * 1024;
+const CACHE_STALE_MAX_AGE_MS = 24 * 3600000;
+const CACHE_PRUNE_DELAY_MS = 5000;
+
+// First match wins; anything else (issue, comments, timeline, GraphQL bundle) uses the repo's configured TTL
+const CACHE_TTL_RULES = [
+  { pattern: /\/search\//, minutes: 5 },
+  { pattern: /\/pulls\?/, minutes: 5 },
+  { pattern: /\/users\/[^/]+\/events/, minutes: 30 },
+  { pattern: /\/forks\?|\/branches\?|\/compare\//, minutes: 30 },
+  { pattern: /\/issues\?state=closed/, minutes: 24 * 60 }
+];
+
+function cacheTtlFor(key, fallbackMinutes = DEFAULT_CACHE_TTL_MINUTES) {
+  const rule = CACHE_TTL_RULES.find(r => r.pattern.test(key));
+  return (rule ? rule.minutes : fallbackMinutes) * 60000;
+}
+
+// ─── IndexedDB ────────────────────────────────────────────────────────────────
+
+let cacheDBPromise = null;
+
+function openCacheDB() {
+  if (!cacheDBPromise) {
+    cacheDBPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(CACHE_DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+        store.createIndex('accessedAt', 'accessedAt');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { cacheDBPromise = null; reject(req.error); };
+    });
+  }
+  return cacheDBPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function cacheStore(mode) {
+  const db = await openCacheDB();
+  return db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE);
+}
+
+async function cacheGet(key) {
+  try {
+    return await idbRequest((await cacheStore('readonly')).get(key)) || null;
+  } catch (e) {
+    console.warn('OSS Traffic: cache read failed:', e.message);
+    return null;
+  }
+}
+
+async function cachePut(key, { data, etag = null, lastModified = null, link = null }) {
+  const now = Date.now();
+  const entry = { key, data, etag, lastModified, link, storedAt: now, accessedAt: now, size: JSON.stringify(data).length };
+  try {
+    await idbRequest((await cacheStore('readwrite')).put(entry));
+    schedulePrune();
+  } catch (e) {
+    console.warn('OSS Traffic: cache write failed:', e.message);
+  }
+  return entry;
+}
+
+async function cacheTouch(entry) {
+  try {
+    await idbRequest((await cacheStore('readwrite')).put({ ...entry, accessedAt: Date.now() }));
+  } catch (_) {}
+}
+
+async function clearResponseCache() {
+  await idbRequest((await cacheStore('readwrite')).clear());
+}
+
+async function getCacheStats() {
+  let entries = 0;
+  let bytes = 0;
+  await walkCache('next', entry => { entries++; bytes += entry.size; });
+  return { entries, bytes };
+}
+
+// Visits every entry in accessedAt order; `visit` may return true to delete the entry
+async function walkCache(direction, visit) {
+  const store = await cacheStore('readwrite');
+  return new Promise((resolve, reject) => {
+    const req = store.index('accessedAt').openCursor(null, direction);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) { resolve(); return; }
+      if (visit(cursor.value)) cursor.delete();
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ─── LRU Eviction ─────────────────────────────────────────────────────────────
+
+let pruneTimer = null;
+
+function schedulePrune() {
+  clearTimeout(pruneTimer);
+  pruneTimer = setTimeout(() => {
+    pruneCache().catch(e => console.warn('OSS Traffic: cache prune failed:', e.message));
+  }, CACHE_PRUNE_DELAY_MS);
+}
+
+// Newest first: keep entries until the budget is spent, drop everything older
+async function pruneCache() {
+  let kept = 0;
+  await walkCache('prev', entry => {
+    kept += entry.size;
+    return kept > CACHE_MAX_BYTES;
+  });
+}
+
+// ─── Stale-While-Revalidate ───────────────────────────────────────────────────
+
+// Refreshes on the way, by key, so concurrent callers (the PR and PR-history scans both reading the
+// timeline, say) share one request instead of each fetching it
+const pendingRefreshes = new Map();
+
+/**
+ * Serves `key` from the cache where possible.
+ * load(entry) fetches a replacement: { data, etag, lastModified, link } or { notModified: true }.
+ * onUpdate(data) runs when a background refresh brought back different data.
+ * maxStaleMs: 0 makes every expired entry wait for its refresh (the watchlist needs current data).
+ * Resolves to { data, link, stale }.
+ */
+async function cachedLoad(key, { ttlMs, load, onUpdate = null, maxStaleMs = CACHE_STALE_MAX_AGE_MS }) {
+  const entry = await cacheGet(key);
+  const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+  const refresh = () => {
+    if (pendingRefreshes.has(key)) return pendingRefreshes.get(key);
+    const pending = (async () => {
+      const result = await load(entry);
+      if (result.notModified && entry) {
+        await cachePut(key, entry);
+        return { data: entry.data, link: entry.link, changed: false };
+      }
+      await cachePut(key, result);
+      return { data: result.data, link: result.link, changed: !entry || JSON.stringify(result.data) !== JSON.stringify(entry.data) };
+    })().finally(() => pendingRefreshes.delete(key));
+    pendingRefreshes.set(key, pending);
+    return pending;
+  };
+
+  if (age < ttlMs) {
+    cacheTouch(entry);
+    return { data: entry.data, link: entry.link, stale: false };
+  }
+
+  if (age < maxStaleMs) {
+    refresh()
+      .then(({ data, changed }) => { if (changed && onUpdate) onUpdate(data); })
+      .catch(e => console.warn('OSS Traffic: background refresh failed:', key, e.message));
+    return { data: entry.data, link: entry.link, stale: true };
+  }
+
+  const { data, link } = await refresh();
+  return { data, link, stale: false };
+}
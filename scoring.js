@@ -0,0 +1,210 @@
+/**
+ * GitHub Issue Radar — scoring.js
+ * Difficulty score and the radar/activity chart data. Pure functions: no DOM and no chrome.* calls,
+ * so test/ runs them under Node. Load after difficulty-profile.js and pr-links.js.
+ */
+
+// ─── Difficulty Scoring Engine ──────────────────────────────────────────────
+
+// Label tiers, keyword lists and deltas live in difficulty-profile.js
+
+function calcDifficultyScore(issueData, comments, prHistory, profile = DEFAULT_DIFFICULTY_PROFILE) {
+  let score = 50; // baseline = medium
+  const signals = [];
+  const { deltas } = profile;
+
+  const title = (issueData.title || '').toLowerCase();
+  const body = (issueData.body || '').toLowerCase();
+  const text = title + ' ' + body;
+  const tiers = (issueData.labels || []).map(l => labelTier(l.name, profile));
+
+  // Label signals (strongest signal)
+  if (tiers.includes('easy')) {
+    score += deltas.easyLabel;
+    signals.push({ type: 'easy', text: 'Labeled as beginner-friendly', delta: deltas.easyLabel });
+  }
+  if (tiers.includes('hard')) {
+    score += deltas.hardLabel;
+    signals.push({ type: 'hard', text: 'Label indicates high complexity', delta: deltas.hardLabel });
+  }
+  if (tiers.includes('medium')) {
+    score += deltas.mediumLabel;
+    signals.push({ type: 'medium', text: 'General enhancement/bug label', delta: deltas.mediumLabel });
+  }
+
+  // Keyword signals in title/body; learned weights take over the keywords they cover
+  const learned = profile.keywordWeights || {};
+  const hardKws = HARD_KEYWORDS.filter(kw => !(kw in learned) && text.includes(kw));
+  if (hardKws.length > 0) {
+    const delta = Math.min(hardKws.length, 4) * deltas.hardKeyword;
+    score += delta;
+    signals.push({ type: 'hard', text: `Technical keywords: ${hardKws.slice(0, 3).join(', ')}`, delta: +delta });
+  }
+
+  const easyKws = EASY_KEYWORDS.filter(kw => !(kw in learned) && text.includes(kw));
+  if (easyKws.length > 0) {
+    const delta = Math.min(easyKws.length, 4) * deltas.easyKeyword;
+    score -= delta;
+    signals.push({ type: 'easy', text: `Beginner-friendly terms: ${easyKws.slice(0, 3).join(', ')}`, delta: -delta });
+  }
+
+  const learnedHits = Object.entries(learned).filter(([kw, w]) => w !== 0 && text.includes(kw));
+  if (learnedHits.length > 0) {
+    const delta = Math.max(-32, Math.min(32, learnedHits.reduce((sum, [, w]) => sum + w, 0)));
+    score += delta;
+    signals.push({
+      type: delta > 0 ? 'hard' : delta < 0 ? 'easy' : 'medium',
+      text: `Learned keywords: ${learnedHits.slice(0, 3).map(([kw]) => kw).join(', ')}`,
+      delta
+    });
+  }
+
+  // Body length (longer = more complex usually)
+  const bodyLen = (issueData.body || '').length;
+  if (bodyLen > 3000) { score += 12; signals.push({ type: 'hard', text: 'Very detailed issue body', delta: +12 }); }
+  else if (bodyLen > 1000) { score += 5; signals.push({ type: 'medium', text: 'Detailed description', delta: +5 }); }
+  else if (bodyLen < 200) { score -= 5; signals.push({ type: 'easy', text: 'Simple, short issue', delta: -5 }); }
+
+  // Comment depth (more discussion = harder)
+  const commentCount = issueData.comments || 0;
+  if (commentCount > 20) { score += 15; signals.push({ type: 'hard', text: `Heavy discussion (${commentCount} comments)`, delta: +15 }); }
+  else if (commentCount > 8) { score += 7; signals.push({ type: 'medium', text: `Active discussion (${commentCount} comments)`, delta: +7 }); }
+
+  // Failed PR attempts (multiple failures = harder than it looks)
+  const failed = (prHistory || []).filter(isFailedAttempt);
+  if (failed.length > 2) {
+    score += 18;
+    signals.push({ type: 'hard', text: `${failed.length} failed PR attempts`, delta: +18 });
+  } else if (failed.length > 0) {
+    score += 8;
+    signals.push({ type: 'medium', text: `${failed.length} failed PR attempt${failed.length > 1 ? 's' : ''}`, delta: +8 });
+  }
+  const rejected = failed.filter(a => a.outcome === 'closed-by-maintainer').length;
+  if (rejected > 0) {
+    score += 6;
+    signals.push({ type: 'hard', text: `Maintainers closed ${rejected} attempt${rejected > 1 ? 's' : ''}`, delta: +6 });
+  }
+
+  // Code blocks in body (likely requires coding depth)
+  const codeBlockCount = (issueData.body || '').split('```').length - 1;
+  if (codeBlockCount > 3) { score += 10; signals.push({ type: 'hard', text: 'Multiple code examples', delta: +10 }); }
+
+  score = Math.max(0, Math.min(100, score));
+
+  let level, label, canBeginner, color, emoji;
+  if (score < 28) {
+    level = 'beginner'; label = 'Beginner'; canBeginner = true;
+    color = '#1a7f37'; emoji = '🟢';
+  } else if (score < 50) {
+    level = 'easy-medium'; label = 'Easy–Medium'; canBeginner = true;
+    color = '#2da44e'; emoji = '🟡';
+  } else if (score < 68) {
+    level = 'medium'; label = 'Intermediate'; canBeginner = false;
+    color = '#9a6700'; emoji = '🟡';
+  } else if (score < 82) {
+    level = 'hard'; label = 'Advanced'; canBeginner = false;
+    color = '#cf222e'; emoji = '🔴';
+  } else {
+    level = 'expert'; label = 'Expert'; canBeginner = false;
+    color = '#8250df'; emoji = '💀';
+  }
+
+  return { score, level, label, canBeginner, color, emoji, signals, profile: profile.name };
+}
+
+// ─── Data Builders ──────────────────────────────────────────────────────────
+
+function buildRadarStats(issueData, momentum, prHistory) {
+  const daysSinceUpdate = momentum ? momentum.daysSinceUpdate : 999;
+  const activity = Math.max(0, 100 - daysSinceUpdate * 3);
+
+  const commentCount = issueData.comments || 0;
+  const discussion = Math.min(100, commentCount * 7);
+
+  const maintainerResponse = momentum && momentum.maintainerResponseDays !== null
+    ? Math.max(0, 100 - (momentum.maintainerResponseDays || 0) * 4)
+    : 10;
+
+  const prProgress = prHistory
+    ? Math.min(100, prHistory.length * 25)
+    : 0;
+
+  // Simplicity = inverse of difficulty
+  const diff = issueData._difficulty?.score ?? 50;
+  const simplicity = Math.max(0, 100 - diff);
+
+  // Documentation = body length + code blocks + linked resources
+  const bodyLen = (issueData.body || '').length;
+  const codeBlocks = (issueData.body || '').split('```').length - 1;
+  const links = (issueData.body || '').match(/https?:\/\//g)?.length || 0;
+  const documentation = Math.min(100, (bodyLen / 50) + codeBlocks * 8 + links * 5);
+
+  return { activity, discussion, maintainerResponse, prProgress, simplicity, documentation };
+}
+
+// Activity chart stacks, bottom to top
+const ACTIVITY_KINDS = ['comment', 'review', 'commit', 'crossref', 'state', 'assignment', 'label'];
+const ACTIVITY_KIND_LABELS = {
+  comment: 'Comments', review: 'Reviews', commit: 'Commits', crossref: 'Cross-references',
+  state: 'Close/reopen', assignment: 'Assignments', label: 'Labels'
+};
+const ACTIVITY_WINDOWS = { '30d': 30, '90d': 90, lifetime: null };
+const ACTIVITY_MAX_BARS = 60;   // longer windows bucket several days per bar
+
+// REST timeline event → activity kind; 'commented' is left out since comments are counted from the comment list
+const ACTIVITY_EVENT_KINDS = {
+  labeled: 'label', unlabeled: 'label',
+  assigned: 'assignment', unassigned: 'assignment',
+  'cross-referenced': 'crossref', connected: 'crossref', disconnected: 'crossref',
+  referenced: 'commit',
+  closed: 'state', reopened: 'state',
+  reviewed: 'review'
+};
+
+// REST timeline → [{ kind, createdAt }]
+function activityEventsFromTimeline(events) {
+  return (events || [])
+    .filter(ev => ACTIVITY_EVENT_KINDS[ev.event] && (ev.created_at || ev.submitted_at))
+    .map(ev => ({ kind: ACTIVITY_EVENT_KINDS[ev.event], createdAt: ev.created_at || ev.submitted_at }));
+}
+
+/**
+ * Comments plus timeline events ({ kind, createdAt }) bucketed up to today:
+ * [{ date, days, count, kinds: { comment, review, … } }]. windowDays null is the issue's lifetime,
+ * from `since` (or the oldest item).
+ */
+function buildActivityTimeline(comments, { events = [], windowDays = 30, since = null } = {}) {
+  const items = [
+    ...(comments || []).map(c => ({ kind: 'comment', createdAt: c.created_at })),
+    ...(events || [])
+  ].filter(item => item.createdAt && ACTIVITY_KINDS.includes(item.kind));
+
+  const dayMs = 86400000;
+  const now = new Date();
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  let spanDays = windowDays;
+  if (!spanDays) {
+    const first = items.reduce((min, item) => Math.min(min, Date.parse(item.createdAt)), since ? Date.parse(since) : Infinity);
+    spanDays = Number.isFinite(first) ? Math.max(1, Math.floor((today - first) / dayMs) + 1) : 30;
+  }
+  const bucketDays = Math.ceil(spanDays / ACTIVITY_MAX_BARS);
+  const bucketCount = Math.ceil(spanDays / bucketDays);
+  const start = today - (bucketCount * bucketDays - 1) * dayMs;
+
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    date: new Date(start + i * bucketDays * dayMs).toISOString().split('T')[0],
+    days: bucketDays,
+    count: 0,
+    kinds: Object.fromEntries(ACTIVITY_KINDS.map(kind => [kind, 0]))
+  }));
+
+  items.forEach(item => {
+    const i = Math.floor((Date.parse(item.createdAt) - start) / (bucketDays * dayMs));
+    if (i < 0 || i >= bucketCount) return;
+    buckets[i].count++;
+    buckets[i].kinds[item.kind]++;
+  });
+
+  return buckets;
+}
@@ -1,102 +1,9 @@
 /**
  * GitHub Issue Radar — sidebar.js
- * Rich analytics sidebar with difficulty scoring, charts, and stats
+ * Rich analytics sidebar: chart renderers and the card layout (scores come from scoring.js)
  */
 
-// ─── Difficulty Scoring Engine ──────────────────────────────────────────────
-
-const HARD_LABELS = ['complexity: high', 'difficulty: hard', 'senior', 'performance', 'security', 'architecture', 'breaking change', 'refactor'];
-const MEDIUM_LABELS = ['difficulty: medium', 'complexity: medium', 'enhancement', 'bug'];
-const EASY_LABELS = ['good first issue', 'good-first-issue', 'beginner', 'easy', 'starter', 'difficulty: easy', 'help wanted'];
-
-const HARD_KEYWORDS = ['race condition', 'memory leak', 'concurrency', 'deadlock', 'cryptograph', 'algorithm', 'optimization', 'benchmark', 'regression', 'migration', 'breaking', 'deprecat', 'vulnerability', 'exploit', 'segfault', 'undefined behavior', 'thread safe', 'async', 'refactor', 'rewrite', 'architecture'];
-const MEDIUM_KEYWORDS = ['implement', 'add support', 'feature request', 'integrate', 'api', 'endpoint', 'database', 'schema', 'component', 'module', 'plugin'];
-const EASY_KEYWORDS = ['typo', 'spelling', 'grammar', 'documentation', 'docs', 'readme', 'comment', 'test', 'lint', 'format', 'style', 'rename', 'missing link', 'broken link', 'update dependency', 'bump version'];
-
-function calcDifficultyScore(issueData, comments, prHistory) {
-  let score = 50; // baseline = medium
-  const signals = [];
-
-  const title = (issueData.title || '').toLowerCase();
-  const body = (issueData.body || '').toLowerCase();
-  const text = title + ' ' + body;
-  const labels = (issueData.labels || []).map(l => l.name.toLowerCase());
-
-  // Label signals (strongest signal)
-  if (labels.some(l => EASY_LABELS.includes(l))) {
-    score -= 25;
-    signals.push({ type: 'easy', text: 'Labeled as beginner-friendly', delta: -25 });
-  }
-  if (labels.some(l => HARD_LABELS.some(hl => l.includes(hl)))) {
-    score += 30;
-    signals.push({ type: 'hard', text: 'Label indicates high complexity', delta: +30 });
-  }
-  if (labels.some(l => MEDIUM_LABELS.includes(l))) {
-    score += 5;
-    signals.push({ type: 'medium', text: 'General enhancement/bug label', delta: +5 });
-  }
-
-  // Keyword signals in title/body
-  const hardKws = HARD_KEYWORDS.filter(kw => text.includes(kw));
-  if (hardKws.length > 0) {
-    const delta = Math.min(hardKws.length * 8, 32);
-    score += delta;
-    signals.push({ type: 'hard', text: `Technical keywords: ${hardKws.slice(0, 3).join(', ')}`, delta: +delta });
-  }
-
-  const easyKws = EASY_KEYWORDS.filter(kw => text.includes(kw));
-  if (easyKws.length > 0) {
-    const delta = Math.min(easyKws.length * 7, 28);
-    score -= delta;
-    signals.push({ type: 'easy', text: `Beginner-friendly terms: ${easyKws.slice(0, 3).join(', ')}`, delta: -delta });
-  }
-
-  // Body length (longer = more complex usually)
-  const bodyLen = (issueData.body || '').length;
-  if (bodyLen > 3000) { score += 12; signals.push({ type: 'hard', text: 'Very detailed issue body', delta: +12 }); }
-  else if (bodyLen > 1000) { score += 5; signals.push({ type: 'medium', text: 'Detailed description', delta: +5 }); }
-  else if (bodyLen < 200) { score -= 5; signals.push({ type: 'easy', text: 'Simple, short issue', delta: -5 }); }
-
-  // Comment depth (more discussion = harder)
-  const commentCount = issueData.comments || 0;
-  if (commentCount > 20) { score += 15; signals.push({ type: 'hard', text: `Heavy discussion (${commentCount} comments)`, delta: +15 }); }
-  else if (commentCount > 8) { score += 7; signals.push({ type: 'medium', text: `Active discussion (${commentCount} comments)`, delta: +7 }); }
-
-  // Prior PR attempts (multiple attempts = harder than it looks)
-  if (prHistory && prHistory.length > 2) {
-    score += 18;
-    signals.push({ type: 'hard', text: `${prHistory.length} prior PR attempts`, delta: +18 });
-  } else if (prHistory && prHistory.length > 0) {
-    score += 8;
-    signals.push({ type: 'medium', text: 'Previous PRs attempted', delta: +8 });
-  }
-
-  // Code blocks in body (likely requires coding depth)
-  const codeBlockCount = (issueData.body || '').split('```').length - 1;
-  if (codeBlockCount > 3) { score += 10; signals.push({ type: 'hard', text: 'Multiple code examples', delta: +10 }); }
-
-  score = Math.max(0, Math.min(100, score));
-
-  let level, label, canBeginner, color, emoji;
-  if (score < 28) {
-    level = 'beginner'; label = 'Beginner'; canBeginner = true;
-    color = '#1a7f37'; emoji = '🟢';
-  } else if (score < 50) {
-    level = 'easy-medium'; label = 'Easy–Medium'; canBeginner = true;
-    color = '#2da44e'; emoji = '🟡';
-  } else if (score < 68) {
-    level = 'medium'; label = 'Intermediate'; canBeginner = false;
-    color = '#9a6700'; emoji = '🟡';
-  } else if (score < 82) {
-    level = 'hard'; label = 'Advanced'; canBeginner = false;
-    color = '#cf222e'; emoji = '🔴';
-  } else {
-    level = 'expert'; label = 'Expert'; canBeginner = false;
-    color = '#8250df'; emoji = '💀';
-  }
-
-  return { score, level, label, canBeginner, color, emoji, signals };
-}
+// Difficulty scoring and the chart data builders live in scoring.js
 
 // ─── Chart Renderers (pure Canvas / SVG — no external deps) ─────────────────
 
@@ -193,8 +100,23 @@ function renderRadarChart(canvas, stats) {
   }
 }
 
+// [dark, light] per activity kind; comments keep the blue gradient the chart always had
+const ACTIVITY_KIND_COLORS = {
+  comment: ['#388bfd', '#0969da'],
+  review: ['#a371f7', '#8250df'],
+  commit: ['#3fb950', '#1a7f37'],
+  crossref: ['#db6d28', '#bc4c00'],
+  state: ['#f85149', '#cf222e'],
+  assignment: ['#d29922', '#9a6700'],
+  label: ['#39c5cf', '#1b7c83']
+};
+
+function activityKindColor(kind, isDark) {
+  return ACTIVITY_KIND_COLORS[kind][isDark ? 0 : 1];
+}
+
 function renderActivityChart(canvas, activityData) {
-  // activityData: array of { date, count } last 30 days
+  // activityData: buckets of { date, days, count, kinds } from buildActivityTimeline, stacked by kind
   const ctx = canvas.getContext('2d');
   const W = canvas.width, H = canvas.height;
   const pad = { top: 8, right: 8, bottom: 20, left: 28 };
@@ -229,35 +151,136 @@ function renderActivityChart(canvas, activityData) {
     }
   }
 
-  // Bars
+  // Stacked bars, only the top segment rounded
   activityData.forEach((d, i) => {
     const x = pad.left + i * (iW / activityData.length);
-    const barH = (d.count / maxCount) * iH;
-    const y = pad.top + iH - barH;
-
-    const gradient = ctx.createLinearGradient(0, y, 0, y + barH);
-    gradient.addColorStop(0, isDark ? '#388bfd' : '#0969da');
-    gradient.addColorStop(1, isDark ? 'rgba(56,139,253,0.3)' : 'rgba(9,105,218,0.3)');
+    if (d.count === 0) {
+      ctx.fillStyle = isDark ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.04)';
+      ctx.fillRect(x + 0.5, pad.top + iH, barW, 1);
+      return;
+    }
 
-    ctx.fillStyle = d.count > 0 ? gradient : (isDark ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.04)');
-    ctx.beginPath();
-    ctx.roundRect(x + 0.5, y, barW, Math.max(barH, 1), [2, 2, 0, 0]);
-    ctx.fill();
+    const segments = ACTIVITY_KINDS.filter(kind => d.kinds[kind] > 0);
+    let base = pad.top + iH;
+    segments.forEach((kind, si) => {
+      const segH = (d.kinds[kind] / maxCount) * iH;
+      const y = base - segH;
+      if (kind === 'comment') {
+        const gradient = ctx.createLinearGradient(0, y, 0, y + segH);
+        gradient.addColorStop(0, isDark ? '#388bfd' : '#0969da');
+        gradient.addColorStop(1, isDark ? 'rgba(56,139,253,0.3)' : 'rgba(9,105,218,0.3)');
+        ctx.fillStyle = gradient;
+      } else {
+        ctx.fillStyle = activityKindColor(kind, isDark);
+      }
+      ctx.beginPath();
+      ctx.roundRect(x + 0.5, y, barW, Math.max(segH, 1), si === segments.length - 1 ? [2, 2, 0, 0] : 0);
+      ctx.fill();
+      base = y;
+    });
   });
 
-  // X-axis labels (every 7 days)
+  // X-axis labels (every 7 bars on a 30-day window, about four across longer ones)
+  const every = activityData.length <= 31 ? 7 : Math.ceil(activityData.length / 4);
+  const dateFormat = activityData[0].days >= 7 ? { month: 'short', year: '2-digit' } : { month: 'short', day: 'numeric' };
   ctx.fillStyle = isDark ? '#848d97' : '#9ca3af';
   ctx.font = '8px monospace';
   ctx.textAlign = 'center';
   activityData.forEach((d, i) => {
-    if (i === 0 || i === activityData.length - 1 || i % 7 === 0) {
+    if (i === 0 || i === activityData.length - 1 || i % every === 0) {
       const x = pad.left + i * (iW / activityData.length) + barW / 2;
-      const label = new Date(d.date).toLocaleDateString('en', { month: 'short', day: 'numeric' });
+      const label = new Date(d.date).toLocaleDateString('en', dateFormat);
       ctx.fillText(label, x, H - 4);
     }
   });
 }
 
+// Per-kind totals under the activity chart, in stack order
+function renderActivityLegend(activityData) {
+  const isDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+  const totals = ACTIVITY_KINDS
+    .map(kind => ({ kind, count: activityData.reduce((sum, d) => sum + d.kinds[kind], 0) }))
+    .filter(t => t.count > 0);
+  if (totals.length === 0) return '<span class="tc-activity-key">No activity in this window</span>';
+  return totals.map(t => `
+    <span class="tc-activity-key"><span class="tc-activity-swatch" style="background:${activityKindColor(t.kind, isDark)}"></span>${ACTIVITY_KIND_LABELS[t.kind]} ${t.count}</span>
+  `).join('');
+}
+
+function renderTrendSparkline(canvas, snapshots) {
+  // snapshots: one per visit, oldest first (history.js)
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const pad = { top: 6, right: 8, bottom: 14, left: 28 };
+  const iW = W - pad.left - pad.right;
+  const iH = H - pad.top - pad.bottom;
+  const isDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+
+  ctx.clearRect(0, 0, W, H);
+
+  if (!snapshots || snapshots.length < 2) {
+    ctx.fillStyle = isDark ? '#848d97' : '#656d76';
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('Trend appears after your next visit', W / 2, H / 2);
+    return;
+  }
+
+  const x = i => pad.left + iW * i / (snapshots.length - 1);
+  const y = v => pad.top + iH - (v / 100) * iH;
+
+  // Grid lines at 0 / 50 / 100
+  ctx.strokeStyle = isDark ? 'rgba(255,255,255,0.06)' : 'rgba(0,0,0,0.06)';
+  ctx.lineWidth = 1;
+  [0, 50, 100].forEach(v => {
+    ctx.beginPath(); ctx.moveTo(pad.left, y(v)); ctx.lineTo(W - pad.right, y(v)); ctx.stroke();
+    ctx.fillStyle = isDark ? '#848d97' : '#9ca3af';
+    ctx.font = '8px monospace';
+    ctx.textAlign = 'right';
+    ctx.fillText(v, pad.left - 3, y(v) + 3);
+  });
+
+  // Visits scanned with a feature off have nulls; the line skips them
+  const line = (key, color, dash) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = dash.length > 0 ? 1 : 1.5;
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    let drawing = false;
+    snapshots.forEach((s, i) => {
+      if (s[key] === null) { drawing = false; return; }
+      if (drawing) ctx.lineTo(x(i), y(s[key]));
+      else ctx.moveTo(x(i), y(s[key]));
+      drawing = true;
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+  };
+  line('difficulty', isDark ? 'rgba(163,113,247,0.6)' : 'rgba(130,80,223,0.6)', [3, 3]);
+  line('momentum', isDark ? '#388bfd' : '#0969da', []);
+
+  // Momentum points coloured by the status seen on that visit
+  const statusColors = isDark
+    ? { red: '#f85149', yellow: '#d29922', green: '#3fb950' }
+    : { red: '#cf222e', yellow: '#9a6700', green: '#1a7f37' };
+  snapshots.forEach((s, i) => {
+    if (s.momentum === null) return;
+    ctx.fillStyle = statusColors[s.status] || statusColors.green;
+    ctx.beginPath();
+    ctx.arc(x(i), y(s.momentum), 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  // First and last visit dates
+  ctx.fillStyle = isDark ? '#848d97' : '#9ca3af';
+  ctx.font = '8px monospace';
+  const dateLabel = s => new Date(s.at).toLocaleDateString('en', { month: 'short', day: 'numeric' });
+  ctx.textAlign = 'left';
+  ctx.fillText(dateLabel(snapshots[0]), pad.left, H - 3);
+  ctx.textAlign = 'right';
+  ctx.fillText(dateLabel(snapshots[snapshots.length - 1]), W - pad.right, H - 3);
+}
+
 function renderDonutChart(canvas, value, label, color) {
   const ctx = canvas.getContext('2d');
   const W = canvas.width, H = canvas.height;
@@ -305,65 +328,42 @@ function renderDonutChart(canvas, value, label, color) {
   ctx.textBaseline = 'alphabetic';
 }
 
-// ─── Data Builders ──────────────────────────────────────────────────────────
-
-function buildRadarStats(issueData, momentum, prHistory) {
-  const daysSinceUpdate = momentum ? momentum.daysSinceUpdate : 999;
-  const activity = Math.max(0, 100 - daysSinceUpdate * 3);
-
-  const commentCount = issueData.comments || 0;
-  const discussion = Math.min(100, commentCount * 7);
-
-  const maintainerResponse = momentum?.maintainerResponseDays !== null
-    ? Math.max(0, 100 - (momentum.maintainerResponseDays || 0) * 4)
-    : 10;
-
-  const prProgress = prHistory
-    ? Math.min(100, prHistory.length * 25)
-    : 0;
-
-  // Simplicity = inverse of difficulty
-  const diff = issueData._difficulty?.score ?? 50;
-  const simplicity = Math.max(0, 100 - diff);
-
-  // Documentation = body length + code blocks + linked resources
-  const bodyLen = (issueData.body || '').length;
-  const codeBlocks = (issueData.body || '').split('```').length - 1;
-  const links = (issueData.body || '').match(/https?:\/\//g)?.length || 0;
-  const documentation = Math.min(100, (bodyLen / 50) + codeBlocks * 8 + links * 5);
+// ─── Sidebar DOM Builder ─────────────────────────────────────────────────────
 
-  return { activity, discussion, maintainerResponse, prProgress, simplicity, documentation };
+// Titles, logins, branch names and commit messages come from other people; escape them before innerHTML
+function escapeHTML(text) {
+  return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
 }
 
-function buildActivityTimeline(comments) {
-  // Build 30-day activity timeline from comment timestamps
-  const days = {};
-  const now = new Date();
-  for (let i = 29; i >= 0; i--) {
-    const d = new Date(now);
-    d.setDate(d.getDate() - i);
-    const key = d.toISOString().split('T')[0];
-    days[key] = 0;
-  }
-
-  if (comments) {
-    comments.forEach(c => {
-      const key = c.created_at?.split('T')[0];
-      if (key && days[key] !== undefined) days[key]++;
-    });
-  }
-
-  return Object.entries(days).map(([date, count]) => ({ date, count }));
+// Links from API data may only point at the GitHub host the page is on (github.com or an enterprise host)
+function safeHref(url) {
+  return typeof url === 'string' && url.startsWith(`${location.origin}/`) ? escapeHTML(url) : '#';
 }
 
-// ─── Sidebar DOM Builder ─────────────────────────────────────────────────────
+// Difficulty signals are typed easy/medium/hard, momentum signals up/down; sidebar.css colours both
+function renderSignalRows(signals) {
+  return signals.map(s => `
+    <div class="tc-signal ${s.type}">
+      <span class="tc-signal-dot"></span>
+      <span class="tc-signal-text">${escapeHTML(s.text)}</span>
+      <span class="tc-signal-delta">${s.delta > 0 ? '+' : ''}${s.delta}</span>
+    </div>
+  `).join('');
+}
 
-function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficulty) {
+// data: the scan result content.js builds in init(); activityWindow is a key of ACTIVITY_WINDOWS
+function buildSidebar(data, activityWindow = '30d') {
+  const {
+    issueData = {}, momentum, prs, claims, forks, comments, difficulty, features = {},
+    prHistory = [], workloads = null, capped = [], history = null, activityEvents = []
+  } = data;
   const sidebar = document.createElement('div');
   sidebar.id = 'oss-tc-sidebar';
 
   const radarStats = buildRadarStats(issueData, momentum, prs);
-  const activityData = buildActivityTimeline(comments);
+  const activityData = buildActivityTimeline(comments, {
+    events: activityEvents, windowDays: ACTIVITY_WINDOWS[activityWindow], since: issueData.created_at
+  });
 
   const timeAgo = (date) => {
     const diff = Date.now() - new Date(date).getTime();
@@ -377,13 +377,34 @@ function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficu
     ? `<div class="tc-verdict can"><span class="tc-verdict-icon">✅</span><div><strong>Doable for beginners</strong><p>This issue appears approachable without deep codebase knowledge.</p></div></div>`
     : `<div class="tc-verdict cannot"><span class="tc-verdict-icon">⛔</span><div><strong>Not recommended for beginners</strong><p>Significant experience with the codebase or underlying tech is likely needed.</p></div></div>`;
 
-  const signalRows = difficulty.signals.slice(0, 5).map(s => `
-    <div class="tc-signal ${s.type}">
-      <span class="tc-signal-dot"></span>
-      <span class="tc-signal-text">${s.text}</span>
-      <span class="tc-signal-delta">${s.delta > 0 ? '+' : ''}${s.delta}</span>
-    </div>
-  `).join('');
+  // Newest first; open attempts already appear in the PR rows above
+  const endedAttempts = prHistory.filter(a => a.outcome !== 'open').reverse();
+  const failedCount = endedAttempts.filter(isFailedAttempt).length;
+  const attemptDetail = a => {
+    if (a.outcome === 'superseded') return ` by #${a.supersededBy}`;
+    if (a.outcome === 'closed-by-maintainer' && a.closedBy) return ` @${escapeHTML(a.closedBy)}`;
+    return '';
+  };
+
+  const signalRows = renderSignalRows(difficulty.signals.slice(0, 5));
+  // Biggest movers first, so the top rows explain most of the score
+  const momentumRows = momentum
+    ? renderSignalRows([...momentum.signals].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)).slice(0, 6))
+    : '';
+
+  // history: { snapshots, previous, changes } from history.js; changes is null on a first visit
+  const changes = history?.changes;
+  const newCommenters = changes ? [...new Set(changes.comments.map(c => `@${escapeHTML(c.author)}`))] : [];
+  const changeRows = changes ? [
+    changes.commentCount > 0 && `
+      <a ${changes.comments[0]?.url ? `href="${escapeHTML(changes.comments[0].url)}"` : ''} class="tc-visit-row">💬 ${changes.commentCount} new comment${changes.commentCount !== 1 ? 's' : ''}${newCommenters.length > 0 ? ` from ${newCommenters.slice(0, 3).join(', ')}${newCommenters.length > 3 ? '…' : ''}` : ''}</a>`,
+    ...changes.prs.map(pr => `
+      <a href="${escapeHTML(pr.url)}" target="_blank" class="tc-visit-row">🔀 PR #${pr.number} ${escapeHTML((pr.title || '').slice(0, 34))}${(pr.title || '').length > 34 ? '…' : ''}</a>`),
+    ...changes.claims.map(c => `
+      <a href="${escapeHTML(c.commentUrl)}" target="_blank" class="tc-visit-row">✋ @${escapeHTML(c.claimer)} claimed it</a>`),
+    changes.status && `
+      <span class="tc-visit-row">🚦 ${HISTORY_STATUS_LABELS[changes.status.from]} → ${HISTORY_STATUS_LABELS[changes.status.to]}</span>`
+  ].filter(Boolean) : [];
 
   sidebar.innerHTML = `
     <div class="tc-sidebar-inner">
@@ -394,9 +415,30 @@ function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficu
           <span class="tc-sidebar-icon">🚦</span>
           Issue Analytics
         </div>
-        <button class="tc-sidebar-close" id="tc-sidebar-close" title="Close sidebar">✕</button>
+        <div class="tc-sidebar-actions">
+          <div class="tc-export">
+            <button class="tc-sidebar-close tc-export-btn" id="tc-export-btn" title="Export analysis">⤓</button>
+            <div class="tc-export-menu" id="tc-export-menu" hidden>
+              <button data-export="markdown">📋 Copy Markdown summary</button>
+              <button data-export="json">🗂 Download JSON</button>
+              <button data-export="png">🖼 Save charts as PNG</button>
+            </div>
+          </div>
+          <button class="tc-sidebar-close" id="tc-sidebar-close" title="Close sidebar">✕</button>
+        </div>
       </div>
 
+      ${capped.length > 0 ? `
+      <div class="tc-capped-note">ⓘ Partial data: some ${capped.join(', ')} were past the page caps, so activity and momentum may be incomplete.</div>
+      ` : ''}
+
+      ${changes ? `
+      <div class="tc-card tc-visit-card ${changeRows.length > 0 ? 'changed' : ''}">
+        <div class="tc-card-label">CHANGED SINCE YOUR LAST VISIT · ${timeAgo(changes.since).toUpperCase()}</div>
+        ${changeRows.length > 0 ? changeRows.join('') : '<div class="tc-empty-row">Nothing new since then</div>'}
+      </div>
+      ` : ''}
+
       <!-- Difficulty Card -->
       <div class="tc-card tc-card-difficulty">
         <div class="tc-card-label">DIFFICULTY RATING</div>
@@ -409,7 +451,7 @@ function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficu
           </div>
         </div>
         ${beginner_verdict}
-        <div class="tc-card-sublabel" style="margin-top:10px">SCORING SIGNALS</div>
+        <div class="tc-card-sublabel" style="margin-top:10px">SCORING SIGNALS · PROFILE: ${escapeHTML(difficulty.profile || 'default')}</div>
         <div class="tc-signals">${signalRows || '<div class="tc-no-signals">No strong signals detected</div>'}</div>
       </div>
 
@@ -431,11 +473,18 @@ function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficu
       </div>
 
       <!-- Activity Timeline Card -->
+      ${features.momentum !== false ? `
       <div class="tc-card">
-        <div class="tc-card-label">30-DAY COMMENT ACTIVITY</div>
+        <div class="tc-card-label tc-activity-hdr">
+          ISSUE ACTIVITY
+          <span class="tc-window-picker" id="tc-window-picker">
+            ${Object.keys(ACTIVITY_WINDOWS).map(key => `<button data-window="${key}" class="${key === activityWindow ? 'active' : ''}">${key}</button>`).join('')}
+          </span>
+        </div>
         <div class="tc-activity-wrap">
           <canvas id="tc-activity" width="248" height="90"></canvas>
         </div>
+        <div class="tc-activity-legend" id="tc-activity-legend">${renderActivityLegend(activityData)}</div>
         <div class="tc-activity-stats">
           <div class="tc-astat">
             <div class="tc-astat-val">${issueData.comments || 0}</div>
@@ -451,8 +500,10 @@ function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficu
           </div>
         </div>
       </div>
+      ` : ''}
 
       <!-- Momentum Donuts Row -->
+      ${features.momentum !== false ? `
       <div class="tc-card">
         <div class="tc-card-label">MOMENTUM METRICS</div>
         <div class="tc-donuts-row">
@@ -476,32 +527,93 @@ function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficu
             ? `<div class="tc-maintainer-stat good">✅ Responded in ${momentum.maintainerResponseDays} day${momentum.maintainerResponseDays !== 1 ? 's' : ''}</div>`
             : `<div class="tc-maintainer-stat bad">❌ No maintainer response yet</div>`}
         </div>
+        <div class="tc-card-sublabel" style="margin-top:10px">MOMENTUM SIGNALS · ${momentum.label.toUpperCase()} ${momentum.score}/100</div>
+        <div class="tc-signals">${momentumRows}</div>
         ` : ''}
       </div>
+      ` : ''}
+
+      <!-- Trend Card -->
+      ${features.momentum !== false && history ? `
+      <div class="tc-card">
+        <div class="tc-card-label">MOMENTUM TREND · ${history.snapshots.length} VISIT${history.snapshots.length !== 1 ? 'S' : ''}</div>
+        <div class="tc-activity-wrap">
+          <canvas id="tc-trend" width="248" height="64"></canvas>
+        </div>
+        <div class="tc-trend-legend">
+          <span class="tc-trend-key momentum">momentum${changes?.momentum ? ` ${changes.momentum.from} → ${changes.momentum.to}` : ''}</span>
+          <span class="tc-trend-key difficulty">difficulty</span>
+        </div>
+      </div>
+      ` : ''}
 
       <!-- PR History Card -->
+      ${features.pr !== false ? `
       <div class="tc-card">
         <div class="tc-card-label">PR HISTORY</div>
         ${prs.length > 0 ? prs.map(pr => `
           <a href="${pr.url}" target="_blank" class="tc-pr-row">
             <span class="tc-pr-state ${pr.isDraft ? 'draft' : 'open'}">${pr.isDraft ? 'Draft' : 'Open'}</span>
+            <span class="tc-pr-link ${pr.linkType}">${PR_LINK_LABELS[pr.linkType]}</span>
             <span class="tc-pr-num">#${pr.number}</span>
-            <span class="tc-pr-title">${(pr.title || '').slice(0, 38)}${(pr.title || '').length > 38 ? '…' : ''}</span>
+            <span class="tc-pr-title">${escapeHTML((pr.title || '').slice(0, 38))}${(pr.title || '').length > 38 ? '…' : ''}</span>
             ${pr.updatedAt ? `<span class="tc-pr-age">${timeAgo(pr.updatedAt)}</span>` : ''}
           </a>
         `).join('') : `<div class="tc-empty-row">No open PRs found</div>`}
+        ${endedAttempts.length > 0 ? `
+        <div class="tc-card-sublabel" style="margin-top:10px">PAST ATTEMPTS · ${failedCount} FAILED</div>
+        <div class="tc-attempts">
+          ${endedAttempts.map(a => `
+            <div class="tc-attempt ${a.outcome}">
+              <div class="tc-attempt-dot"></div>
+              <div class="tc-attempt-info">
+                <a href="${escapeHTML(a.url)}" target="_blank">#${a.number} ${escapeHTML((a.title || '').slice(0, 34))}${(a.title || '').length > 34 ? '…' : ''}</a>
+                <span class="tc-attempt-meta">${ATTEMPT_OUTCOME_LABELS[a.outcome]}${attemptDetail(a)} · @${escapeHTML(a.user || 'unknown')} · ${timeAgo(a.mergedAt || a.closedAt)}</span>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+        ` : ''}
       </div>
+      ` : ''}
 
       <!-- Fork Activity Card -->
       ${forks && forks.length > 0 ? `
-      <div class="tc-card tc-card-warn">
+      <div class="tc-card ${forks.some(f => f.confidence !== 'low') ? 'tc-card-warn' : ''}">
         <div class="tc-card-label">⚡ FORK ACTIVITY DETECTED</div>
         ${forks.map(f => `
-          <a href="${f.forkUrl}/tree/${f.branchName}" target="_blank" class="tc-fork-row">
-            <span class="tc-fork-user">🍴 ${f.owner}</span>
-            <code class="tc-fork-branch">${f.branchName}</code>
-            <span class="tc-fork-age">${timeAgo(f.pushedAt)}</span>
-          </a>
+          <div class="tc-fork-card">
+            <a href="${escapeHTML(f.compareUrl || `${f.forkUrl}/tree/${f.branchName}`)}" target="_blank" class="tc-fork-row">
+              <span class="tc-fork-user">🍴 ${escapeHTML(f.owner)}</span>
+              <code class="tc-fork-branch">${escapeHTML(f.branchName)}</code>
+              <span class="tc-fork-confidence ${f.confidence}">${f.confidence}</span>
+            </a>
+            <div class="tc-fork-meta">
+              <span class="tc-fork-ahead">↑${f.aheadBy} ahead</span>
+              <span class="tc-fork-behind">↓${f.behindBy} behind</span>
+              <span class="tc-fork-age">pushed ${timeAgo(f.pushedAt)}</span>
+            </div>
+            ${f.commit ? `<a href="${escapeHTML(f.commit.url)}" target="_blank" class="tc-fork-commit">“${escapeHTML(f.commit.message.slice(0, 60))}${f.commit.message.length > 60 ? '…' : ''}”</a>` : ''}
+            <div class="tc-fork-reasons">${escapeHTML(f.reasons.join(' · '))}</div>
+          </div>
+        `).join('')}
+      </div>
+      ` : ''}
+
+      <!-- Assignees Card -->
+      ${features.workload !== false && workloads && workloads.length > 0 ? `
+      <div class="tc-card ${workloads.some(w => w.warnings.length > 0) ? 'tc-card-warn' : ''}">
+        <div class="tc-card-label">ASSIGNEES</div>
+        ${workloads.map(w => `
+          <div class="tc-assignee-row ${w.dormant || w.inactive ? 'idle' : ''}">
+            ${w.avatarUrl ? `<img class="tc-assignee-avatar" src="${w.avatarUrl}&s=48" alt=""/>` : '<span class="tc-assignee-avatar"></span>'}
+            <div class="tc-assignee-info">
+              <a href="${location.origin}/${escapeHTML(w.login)}" target="_blank">@${escapeHTML(w.login)}</a>
+              <span class="tc-assignee-stats">${w.openPRCount ?? '?'} open PRs · ${w.openIssueCount ?? '?'} assigned issues</span>
+              <span class="tc-assignee-stats">${w.assignedAt ? `assigned ${timeAgo(w.assignedAt)} · ` : ''}last public activity ${w.lastActivityAt ? timeAgo(w.lastActivityAt) : '90d+ ago'}</span>
+              ${w.warnings.map(text => `<span class="tc-assignee-warn">⚠️ ${escapeHTML(text)}</span>`).join('')}
+            </div>
+          </div>
         `).join('')}
       </div>
       ` : ''}
@@ -511,11 +623,12 @@ function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficu
       <div class="tc-card">
         <div class="tc-card-label">CLAIMS TIMELINE</div>
         ${claims.map(c => `
-          <div class="tc-claim-row ${c.isStale ? 'stale' : 'fresh'}">
+          <div class="tc-claim-row ${c.state}">
             <div class="tc-claim-dot"></div>
             <div class="tc-claim-info">
-              <a href="${c.commentUrl}" target="_blank">@${c.claimer}</a>
-              <span class="tc-claim-time">${c.isStale ? '⚠️ Stale · ' : '🟡 Fresh · '}${timeAgo(c.claimedAt)}</span>
+              <a href="${escapeHTML(c.commentUrl)}" target="_blank">@${escapeHTML(c.claimer)}</a>
+              <span class="tc-claim-time">${CLAIM_STATE_LABELS[c.state]} · claimed ${timeAgo(c.claimedAt)}</span>
+              <span class="tc-claim-reason">${escapeHTML(c.reason)}</span>
             </div>
           </div>
         `).join('')}
@@ -529,7 +642,7 @@ function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficu
         <div class="tc-labels-wrap">
           ${issueData.labels.map(l => `
             <span class="tc-label" style="background:#${l.color}22;border-color:#${l.color}66;color:#${l.color}">
-              ${l.name}
+              ${escapeHTML(l.name)}
             </span>
           `).join('')}
         </div>
@@ -549,7 +662,7 @@ function buildSidebar(issueData, momentum, prs, claims, forks, comments, difficu
 
 // ─── Main Sidebar Init ───────────────────────────────────────────────────────
 
-function initCharts(radarStats, activityData, difficulty, momentum) {
+function initCharts(radarStats, activityData, difficulty, momentum, history = null) {
   // Radar
   const radarCanvas = document.getElementById('tc-radar');
   if (radarCanvas) renderRadarChart(radarCanvas, radarStats);
@@ -558,6 +671,10 @@ function initCharts(radarStats, activityData, difficulty, momentum) {
   const actCanvas = document.getElementById('tc-activity');
   if (actCanvas) renderActivityChart(actCanvas, activityData);
 
+  // Trend
+  const trendCanvas = document.getElementById('tc-trend');
+  if (trendCanvas) renderTrendSparkline(trendCanvas, history?.snapshots);
+
   // Difficulty donut
   const diffDonut = document.getElementById('tc-donut-diff');
   if (diffDonut) renderDonutChart(diffDonut, difficulty.score, 'score', difficulty.color);
@@ -588,4 +705,6 @@ window.OSSTCSidebar = {
   initCharts,
   buildRadarStats,
   buildActivityTimeline,
+  renderActivityChart,
+  renderActivityLegend,
 };
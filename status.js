@@ -0,0 +1,70 @@
+/**
+ * GitHub Issue Radar — status.js
+ * Traffic-light status and the words shown for it in the banner and on issue list rows.
+ * Pure functions like scoring.js; load after claims.js and pr-links.js.
+ *
+ *   'red'    – a PR targets the issue
+ *   'yellow' – a fresh or stale claim, fork work, or a dormant assignee
+ *   'green'  – nothing found
+ */
+
+function computeStatus(prs, claims, forks, workloads) {
+  if (prs.some(isTargetingPR)) return 'red';
+  if (claims.some(c => c.state === 'fresh')) return 'yellow';
+  if (claims.some(c => c.state === 'stale') || forks?.some(f => f.confidence !== 'low')) return 'yellow';
+  if (workloads?.some(w => w.dormant)) return 'yellow';
+  return 'green';
+}
+
+// Banner headline: { icon, text, sub }. features is the effective config's feature toggles
+function statusHeadline(status, { prs, claims, forks, workloads, features }) {
+  if (status === 'red') {
+    const targeting = prs.filter(isTargetingPR);
+    return {
+      icon: '🛑',
+      text: `${targeting.length} Linked PR${targeting.length > 1 ? 's' : ''} Found`,
+      sub: 'Someone is already working on this issue'
+    };
+  }
+
+  if (status === 'yellow') {
+    const fresh = claims.find(c => c.state === 'fresh');
+    const stale = claims.some(c => c.state === 'stale');
+    const dormant = workloads?.find(w => w.dormant);
+    if (fresh) {
+      return { icon: '⚠️', text: `${fresh.claimer} claimed this`, sub: `${fresh.reason} · Reach out before starting` };
+    }
+    if (dormant && !stale && !forks?.some(f => f.confidence !== 'low')) {
+      return { icon: '💤', text: 'Dormant assignment', sub: `${dormant.warnings[0]} · Ask before picking it up` };
+    }
+    if (stale) {
+      return { icon: '🟡', text: 'Possible stale claim detected', sub: 'Someone claimed this but may have abandoned it' };
+    }
+    const fork = forks[0];
+    return {
+      icon: '🍴',
+      text: `Possible work in @${fork.owner}'s fork`,
+      sub: `${fork.reasons[0]} on ${fork.branchName} · Check before starting`
+    };
+  }
+
+  let sub;
+  if (features.pr && features.claims) sub = 'No active PRs or recent claims detected';
+  else if (features.pr) sub = 'No active PRs detected · claim scan off';
+  else if (features.claims) sub = 'No recent claims detected · PR scan off';
+  else sub = 'PR and claim scans are turned off';
+  return { icon: '✅', text: 'Clear to Contribute', sub };
+}
+
+// Tooltip on an issue list row badge
+function listRowReason(status, prs, claims, claimsChecked) {
+  if (status === 'red') {
+    const targeting = prs.filter(isTargetingPR);
+    return `${targeting.length} linked PR${targeting.length > 1 ? 's' : ''}: #${targeting.map(p => p.number).join(', #')}`;
+  }
+  const fresh = claims.find(c => c.state === 'fresh');
+  if (fresh) return `Claimed by @${fresh.claimer}`;
+  const stale = claims.find(c => c.state === 'stale');
+  if (stale) return `Stale claim by @${stale.claimer}`;
+  return claimsChecked ? 'Clear to contribute' : 'No open PRs · claims not checked (rate limit budget)';
+}
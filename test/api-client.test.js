@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+// fetch answers from `respond`; storage reads come back empty and writes are dropped
+function loadClient(respond) {
+  const local = { get: (_, callback) => (callback ? callback({}) : Promise.resolve({})), set() {} };
+  const chrome = { storage: { local, onChanged: { addListener() {} } } };
+  const calls = [];
+  const fetch = url => { calls.push(url); return Promise.resolve(respond(url)); };
+  const client = loadScripts(['hosts.js', 'api-client.js'], { globals: { chrome, fetch, Response, setTimeout } });
+  return { client, calls };
+}
+
+const secondaryLimit = () => new Response(JSON.stringify({ message: 'You have exceeded a secondary rate limit.' }), {
+  status: 403, headers: { 'Retry-After': '60', 'X-RateLimit-Limit': '5000', 'X-RateLimit-Remaining': '4990' }
+});
+
+test('a secondary rate limit fails at once and holds back the requests after it', async () => {
+  const { client, calls } = loadClient(secondaryLimit);
+  const started = Date.now();
+
+  await assert.rejects(client.githubRequest('https://api.github.com/repos/acme/widgets/issues/1'), /Secondary rate limit hit \(core\)\. Try again in 60 s/);
+  await assert.rejects(client.githubRequest('https://api.github.com/repos/acme/widgets/issues/2'), /Secondary rate limit hit/);
+
+  assert.deepEqual(calls, ['https://api.github.com/repos/acme/widgets/issues/1']);
+  assert.ok(Date.now() - started < 1000, 'the queue slot was not held while waiting');
+});
+
+test('a 403 that is not a rate limit is final', async () => {
+  const { client, calls } = loadClient(() => new Response(JSON.stringify({ message: 'Resource not accessible' }), { status: 403 }));
+
+  await assert.rejects(client.githubRequest('https://api.github.com/repos/acme/widgets'), /GitHub API error: 403$/);
+  await assert.rejects(client.githubRequest('https://api.github.com/repos/acme/widgets'), /GitHub API error: 403$/);
+  assert.equal(calls.length, 2);
+});
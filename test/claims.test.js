@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('./load');
+
+const NOW = '2026-01-15T12:00:00Z';
+const core = loadCore({ now: NOW });
+
+function comment(login, at, body, association = 'NONE') {
+  return { user: { login }, created_at: at, body, author_association: association, html_url: `https://github.com/acme/widgets/issues/1#${at}` };
+}
+
+function hoursBefore(hours) {
+  return new Date(Date.parse(NOW) - hours * 3600000).toISOString();
+}
+
+test('a claim turns stale once it is idle past staleClaimHours', () => {
+  const claim = body => core.evaluateClaims([comment('dev', hoursBefore(73), body)], { staleClaimHours: 72 });
+  assert.equal(claim("I'm working on this")[0].state, 'stale');
+  assert.equal(core.evaluateClaims([comment('dev', hoursBefore(71), "I'm working on this")], { staleClaimHours: 72 })[0].state, 'fresh');
+});
+
+test('a follow-up comment from the claimer keeps the claim fresh', () => {
+  const [claim] = core.evaluateClaims([
+    comment('dev', hoursBefore(200), 'can I take this?'),
+    comment('dev', hoursBefore(10), 'Pushed a branch, PR soon')
+  ]);
+  assert.equal(claim.state, 'fresh');
+  assert.equal(claim.keptAliveBy, 'comment');
+});
+
+test("a maintainer's go-ahead refreshes the claimer they mention", () => {
+  const claims = core.evaluateClaims([
+    comment('first', hoursBefore(300), "I'll take this"),
+    comment('second', hoursBefore(250), 'I can work on this'),
+    comment('lead', hoursBefore(5), 'Go ahead @first', 'MEMBER')
+  ]);
+  assert.equal(claims.find(c => c.claimer === 'first').state, 'fresh');
+  assert.equal(claims.find(c => c.claimer === 'second').state, 'stale');
+});
+
+test('unassigning the claimer releases the claim', () => {
+  const [claim] = core.evaluateClaims([comment('dev', hoursBefore(20), '/assign')], {
+    assignmentEvents: [{ type: 'unassigned', login: 'dev', createdAt: hoursBefore(2) }]
+  });
+  assert.equal(claim.state, 'released');
+});
+
+test('an open PR by the claimer keeps an old claim fresh', () => {
+  const [claim] = core.evaluateClaims([comment('dev', hoursBefore(500), 'working on it')], {
+    linkedPRs: [{ number: 7, user: 'dev', state: 'open', createdAt: hoursBefore(400), updatedAt: hoursBefore(400) }]
+  });
+  assert.equal(claim.state, 'fresh');
+  assert.equal(claim.reason, 'Open PR #7 by the claimer');
+});
+
+test('repository claim keywords replace the built-in list', () => {
+  const comments = [comment('dev', hoursBefore(1), 'dibs!')];
+  assert.equal(core.evaluateClaims(comments).length, 0);
+  assert.equal(core.evaluateClaims(comments, { claimKeywords: ['dibs'] }).length, 1);
+});
+
+test('assignmentEventsFromTimeline keeps only assignment events', () => {
+  const events = core.assignmentEventsFromTimeline([
+    { event: 'labeled', created_at: hoursBefore(3), label: { name: 'bug' } },
+    { event: 'assigned', created_at: hoursBefore(2), assignee: { login: 'dev' } },
+    { event: 'unassigned', created_at: hoursBefore(1), assignee: { login: 'dev' } }
+  ]);
+  assert.deepEqual(events.map(ev => ev.type), ['assigned', 'unassigned']);
+});
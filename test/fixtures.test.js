@@ -0,0 +1,42 @@
+// Runs each hand-written issue in fixtures/ through the same steps as content.js init() and checks the verdicts.
+// When a threshold change moves a number on purpose, update that fixture's `expect` in the same commit.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, loadFixture, fixtureNames, plain } = require('./load');
+
+function analyze(core, { repo: { owner, repo }, issue, comments, timeline, commits = {} }) {
+  const prs = core.linkedPRsFromTimeline(timeline, owner, repo, issue.number, { commits });
+  const attempts = core.classifyAttempts(
+    core.linkedPRsFromTimeline(timeline, owner, repo, issue.number, { includeClosed: true, commits }).filter(core.isTargetingPR)
+  );
+  const claims = core.evaluateClaims(comments, {
+    assignmentEvents: core.assignmentEventsFromTimeline(timeline),
+    assignees: (issue.assignees || []).map(a => a.login),
+    linkedPRs: [...prs, ...attempts]
+  });
+  return {
+    prs,
+    attempts,
+    claims,
+    status: core.computeStatus(prs, claims, [], null),
+    difficulty: core.calcDifficultyScore(issue, comments, attempts),
+    momentum: core.calcMomentumScore({ issue, comments, linkedPRs: prs, labelEvents: core.labelEventsFromTimeline(timeline) })
+  };
+}
+
+for (const name of fixtureNames()) {
+  const fixture = loadFixture(name);
+  const { expect } = fixture;
+
+  test(`${name}: ${fixture.description}`, () => {
+    const result = plain(analyze(loadCore({ now: fixture.now }), fixture));
+
+    assert.deepEqual(result.prs.map(pr => ({ number: pr.number, linkType: pr.linkType })), expect.prs);
+    assert.deepEqual(result.attempts.map(a => a.outcome), expect.attempts);
+    assert.deepEqual(result.claims.map(c => ({ claimer: c.claimer, state: c.state })), expect.claims);
+    assert.equal(result.status, expect.status);
+    assert.deepEqual({ score: result.difficulty.score, level: result.difficulty.level }, expect.difficulty);
+    assert.deepEqual({ score: result.momentum.score, label: result.momentum.label }, expect.momentum);
+  });
+}
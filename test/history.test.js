@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load');
+
+const issueRef = { host: 'github.com', owner: 'acme', repo: 'widgets', number: 41 };
+
+// chrome.storage.local backed by a plain object, promise style as history.js uses it
+function loadHistory(now, values = {}) {
+  const local = {
+    get: keys => Promise.resolve(Object.fromEntries([].concat(keys).filter(k => k in values).map(k => [k, values[k]]))),
+    set: items => Promise.resolve(Object.assign(values, items)),
+    remove: keys => Promise.resolve([].concat(keys).forEach(k => delete values[k]))
+  };
+  return loadScripts(['hosts.js', 'history.js'], { now, globals: { chrome: { storage: { local } } } });
+}
+
+function scan(overrides = {}) {
+  return {
+    momentum: { score: 60 },
+    difficulty: { score: 40 },
+    issueData: { comments: 2 },
+    comments: [
+      { user: { login: 'reporter' }, created_at: '2026-01-01T10:00:00Z', html_url: '#c1' },
+      { user: { login: 'maintainer' }, created_at: '2026-01-02T10:00:00Z', html_url: '#c2' }
+    ],
+    status: 'green',
+    prs: [],
+    claims: [],
+    ...overrides
+  };
+}
+
+test('buildSnapshot keeps scores, counts and who holds the issue', () => {
+  const history = loadHistory('2026-01-10T12:00:00Z');
+  const snapshot = history.buildSnapshot(scan({
+    prs: [{ number: 90 }],
+    claims: [{ claimer: 'dev', state: 'fresh' }, { claimer: 'old', state: 'stale' }],
+    momentum: null
+  }));
+  assert.deepEqual(plain(snapshot), {
+    at: '2026-01-10T12:00:00.000Z', momentum: null, difficulty: 40, comments: 2, status: 'green', prs: [90], claims: ['dev']
+  });
+});
+
+test('diffSinceVisit lists new comments, PRs, claims and status moves', () => {
+  const history = loadHistory('2026-01-10T12:00:00Z');
+  const previous = { at: '2026-01-01T12:00:00Z', momentum: 50, difficulty: 40, comments: 1, status: 'green', prs: [], claims: [] };
+  const changes = history.diffSinceVisit(previous, scan({
+    prs: [{ number: 90, title: 'Fix widgets' }],
+    claims: [{ claimer: 'dev', state: 'fresh' }, { claimer: 'old', state: 'stale' }],
+    status: 'red'
+  }));
+  assert.deepEqual(plain(changes.comments), [{ author: 'maintainer', at: '2026-01-02T10:00:00Z', url: '#c2' }]);
+  assert.equal(changes.commentCount, 1);
+  assert.deepEqual(plain(changes.prs.map(pr => pr.number)), [90]);
+  assert.deepEqual(plain(changes.claims.map(c => c.claimer)), ['dev']);
+  assert.deepEqual(plain(changes.status), { from: 'green', to: 'red' });
+  assert.deepEqual(plain(changes.momentum), { from: 50, to: 60 });
+  assert.equal(history.hasChanges(changes), true);
+});
+
+test('diffSinceVisit falls back to the comment count without the comment list', () => {
+  const history = loadHistory('2026-01-10T12:00:00Z');
+  const previous = { at: '2026-01-01T12:00:00Z', momentum: 60, difficulty: 40, comments: 2, status: 'green', prs: [90], claims: ['dev'] };
+  const changes = history.diffSinceVisit(previous, scan({ comments: [], issueData: { comments: 5 }, prs: [{ number: 90 }] }));
+  assert.equal(changes.commentCount, 3);
+  assert.equal(changes.prs.length, 0);
+  assert.equal(changes.momentum, null);
+  assert.equal(history.hasChanges(history.diffSinceVisit(previous, scan({ comments: [], prs: [{ number: 90 }] }))), false);
+});
+
+test('recordIssueHistory adds a snapshot per visit and merges re-scans within one', async () => {
+  const values = {};
+  const first = await loadHistory('2026-01-01T12:00:00Z', values).recordIssueHistory(issueRef, scan());
+  assert.equal(first.previous, null);
+  assert.equal(first.changes, null);
+
+  // A cache refresh ten minutes later is the same visit
+  const rescan = await loadHistory('2026-01-01T12:10:00Z', values).recordIssueHistory(issueRef, scan({ status: 'yellow' }));
+  assert.equal(rescan.snapshots.length, 1);
+  assert.equal(rescan.previous, null);
+
+  const later = await loadHistory('2026-01-05T12:00:00Z', values).recordIssueHistory(issueRef, scan({ status: 'red' }));
+  assert.equal(later.snapshots.length, 2);
+  assert.equal(later.previous.at, '2026-01-01T12:10:00.000Z');
+  assert.deepEqual(plain(later.changes.status), { from: 'yellow', to: 'red' });
+  assert.equal(values['issue_history_index']['acme/widgets#41'], '2026-01-05T12:00:00.000Z');
+});
+
+test('recordIssueHistory forgets the least recently visited issues past the cap', async () => {
+  const index = {};
+  const values = { issue_history_index: index };
+  for (let i = 0; i < 300; i++) {
+    index[`acme/old#${i}`] = new Date(Date.UTC(2025, 0, 1, 0, i)).toISOString();
+    values[`issue_history:acme/old#${i}`] = [];
+  }
+  await loadHistory('2026-01-01T12:00:00Z', values).recordIssueHistory(issueRef, scan());
+  assert.equal(Object.keys(values.issue_history_index).length, 300);
+  assert.equal('issue_history:acme/old#0' in values, false);
+  assert.equal('issue_history:acme/old#1' in values, true);
+  assert.equal('issue_history:acme/widgets#41' in values, true);
+});
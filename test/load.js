@@ -0,0 +1,49 @@
+// Loads the extension's scripts into a Node vm context, in manifest order, so tests call the same
+// globals the extension sees. `now` pins Date.now() and `new Date()` for the whole context.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// The pure slice of manifest.json's content_scripts list
+const CORE_SCRIPTS = ['hosts.js', 'claims.js', 'momentum.js', 'difficulty-profile.js', 'config.js', 'pr-links.js', 'scoring.js', 'status.js'];
+
+// Runs `files` in a fresh context; `globals` are copied onto its global object (fetch, a chrome stub, …)
+function loadScripts(files, { now = null, globals = {} } = {}) {
+  const context = vm.createContext({ console, ...globals });
+  if (now) {
+    vm.runInContext(`
+      Date = class extends Date {
+        constructor(...args) { super(...(args.length > 0 ? args : [${JSON.stringify(now)}])); }
+        static now() { return new Date().getTime(); }
+      };
+    `, context);
+  }
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+
+  // Top-level const/function declarations live in the context's script scope, not on its global object
+  return new Proxy({}, { get: (_, name) => (typeof name === 'string' ? vm.runInContext(name, context) : undefined) });
+}
+
+function loadCore({ now = '2026-01-15T12:00:00Z' } = {}) {
+  return loadScripts(CORE_SCRIPTS, { now });
+}
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+function fixtureNames() {
+  return fs.readdirSync(path.join(__dirname, 'fixtures')).filter(f => f.endsWith('.json')).sort();
+}
+
+// Values built inside the vm have their own Object.prototype; round-trip them before deepEqual
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, loadCore, loadFixture, fixtureNames, plain };
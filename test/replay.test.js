@@ -0,0 +1,93 @@
+// api-client.js in replay mode against mock/server.js: URL rewriting, paging, ETags and the error paths.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer } = require('../mock/server');
+const { loadScripts } = require('./load');
+
+// Just enough chrome.storage for api-client.js, backed by a plain object
+function storageArea(values) {
+  return {
+    get(keys, callback) {
+      const result = {};
+      [].concat(keys).forEach(key => { if (key in values) result[key] = values[key]; });
+      if (callback) callback(result);
+      return Promise.resolve(result);
+    },
+    set(items, callback) {
+      Object.assign(values, items);
+      if (callback) callback();
+      return Promise.resolve();
+    }
+  };
+}
+
+function loadApiClient(apiBase) {
+  const chrome = {
+    storage: {
+      local: storageArea({ api_base_override: apiBase }),
+      onChanged: { addListener() {} }
+    }
+  };
+  return loadScripts(['hosts.js', 'api-client.js'], { globals: { chrome, fetch, setTimeout, URL } });
+}
+
+const ISSUE_URL = 'https://api.github.com/repos/acme/widgets/issues/41';
+
+test('replay mode', async t => {
+  const server = createMockServer({ pageSize: 1, log: () => {} });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const api = loadApiClient(base);
+  const setScenario = scenario => fetch(`${base}/__mock/scenario?set=${scenario}`);
+
+  await t.test('github.com API calls are answered from fixtures', async () => {
+    const { data } = await api.githubFetch(ISSUE_URL);
+    assert.equal(data.number, 41);
+    assert.equal(await api.resolveApiUrl('https://github.example.com/api/v3/user'), 'https://github.example.com/api/v3/user');
+  });
+
+  await t.test('list fixtures are paged with a Link header', async () => {
+    const first = await api.githubFetch(`${ISSUE_URL}/comments?per_page=100`);
+    assert.equal(first.data.length, 1);
+    const next = api.nextPageUrl(first.link);
+    assert.ok(next.startsWith(base));
+    const second = await api.githubFetch(next);
+    assert.equal(second.data[0].user.login, 'newcomer');
+    assert.equal(api.nextPageUrl(second.link), null);
+  });
+
+  await t.test('a matching ETag comes back as notModified', async () => {
+    const { etag } = await api.githubFetch(ISSUE_URL);
+    const again = await api.githubFetch(ISSUE_URL, { validators: { etag } });
+    assert.equal(again.notModified, true);
+  });
+
+  await t.test('unrecorded paths are a 404', async () => {
+    await assert.rejects(api.githubFetch('https://api.github.com/repos/acme/missing'), /GitHub API error: 404/);
+  });
+
+  await t.test('401 is reported as a bad token', async () => {
+    await setScenario('unauthorized');
+    await assert.rejects(api.githubFetch(ISSUE_URL, { pat: 'ghp_mock' }), /Invalid Personal Access Token/);
+  });
+
+  await t.test('an exhausted budget is a rate-limit error, not a retry', async () => {
+    await setScenario('rate-limit');
+    await assert.rejects(api.githubFetch(ISSUE_URL), /Rate limited \(core\)/);
+    assert.equal(api.rateBudget.core.remaining, 0);
+  });
+
+  await t.test('a plain 403 is final', async () => {
+    await setScenario('forbidden');
+    await assert.rejects(api.githubFetch(ISSUE_URL), /GitHub API error: 403/);
+  });
+
+  await t.test('GraphQL is not replayed', async () => {
+    await setScenario('none');
+    const { data } = await api.githubFetch('https://api.github.com/graphql', { pat: 'ghp_mock', method: 'POST', body: { query: '{}' } });
+    assert.equal(data.errors[0].type, 'NOT_RECORDED');
+  });
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load');
+
+// No IndexedDB under Node: every cache read misses and every write is dropped, so each call must load
+function loadCache() {
+  const indexedDB = { open() { throw new Error('no IndexedDB'); } };
+  return loadScripts(['response-cache.js'], { globals: { indexedDB, console: { warn() {} }, setTimeout, clearTimeout } });
+}
+
+test('concurrent loads of one key share a single request', async () => {
+  const cache = loadCache();
+  let calls = 0;
+  const load = () => { calls++; return new Promise(resolve => setTimeout(() => resolve({ data: ['event'] }), 10)); };
+
+  const [first, second] = await Promise.all([
+    cache.cachedLoad('timeline', { ttlMs: 60000, load }),
+    cache.cachedLoad('timeline', { ttlMs: 60000, load })
+  ]);
+  assert.equal(calls, 1);
+  assert.equal(first.data, second.data);
+
+  // Once it has settled, the next miss loads again
+  await cache.cachedLoad('timeline', { ttlMs: 60000, load });
+  assert.equal(calls, 2);
+});
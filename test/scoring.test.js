@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain } = require('./load');
+
+const NOW = '2026-01-15T12:00:00Z';
+const core = loadCore({ now: NOW });
+
+function issue(fields = {}) {
+  return { title: '', body: 'x'.repeat(500), labels: [], comments: 0, created_at: NOW, updated_at: NOW, ...fields };
+}
+
+test('a plain issue starts at the medium baseline', () => {
+  const difficulty = core.calcDifficultyScore(issue(), [], []);
+  assert.equal(difficulty.score, 50);
+  assert.equal(difficulty.level, 'medium');
+});
+
+test('difficulty bands switch at 28, 50, 68 and 82', () => {
+  const levelAt = score => {
+    const profile = { ...core.DEFAULT_DIFFICULTY_PROFILE, keywordWeights: { marker: score - 50 } };
+    return core.calcDifficultyScore(issue({ title: 'marker' }), [], [], profile).level;
+  };
+  assert.equal(levelAt(27), 'beginner');
+  assert.equal(levelAt(28), 'easy-medium');
+  assert.equal(levelAt(49), 'easy-medium');
+  assert.equal(levelAt(50), 'medium');
+  assert.equal(levelAt(68), 'hard');
+  assert.equal(levelAt(82), 'expert');
+});
+
+test('labels follow the repository profile', () => {
+  const profile = core.resolveDifficultyProfile({ labels: { easy: ['Starter Task'] } }, 'acme/widgets');
+  const difficulty = core.calcDifficultyScore(issue({ labels: [{ name: 'starter task' }] }), [], [], profile);
+  assert.equal(difficulty.score, 25);
+  assert.equal(difficulty.profile, 'acme/widgets');
+});
+
+test('failed attempts raise the score, maintainer rejections more so', () => {
+  const attempts = [{ outcome: 'closed-by-author' }, { outcome: 'closed-by-maintainer' }];
+  const difficulty = core.calcDifficultyScore(issue(), [], attempts);
+  assert.equal(difficulty.score, 50 + 8 + 6);
+});
+
+test('momentum rewards recent updates and a quick maintainer reply', () => {
+  const momentum = core.calcMomentumScore({
+    issue: issue({ comments: 2, created_at: '2026-01-14T12:00:00Z' }),
+    comments: [
+      { author_association: 'OWNER', created_at: '2026-01-14T18:00:00Z' },
+      { author_association: 'NONE', created_at: '2026-01-15T09:00:00Z', user: { login: 'helper' } }
+    ]
+  });
+  assert.equal(momentum.score, 50 + 25 + 3 + 20);
+  assert.equal(momentum.label, 'Active');
+});
+
+test('momentum stalls after 90 quiet days without a maintainer', () => {
+  const momentum = core.calcMomentumScore({
+    issue: issue({ comments: 1, created_at: '2025-09-01T00:00:00Z', updated_at: '2025-09-01T00:00:00Z' }),
+    comments: [{ author_association: 'NONE', created_at: '2025-09-01T00:00:00Z' }]
+  });
+  assert.equal(momentum.score, 50 - 30 - 15);
+  assert.equal(momentum.label, 'Stalled');
+});
+
+test('momentum signals add up to the score', () => {
+  const momentum = core.calcMomentumScore({
+    issue: issue({ comments: 3, created_at: '2025-12-01T00:00:00Z', updated_at: '2026-01-10T12:00:00Z' }),
+    comments: [{ author_association: 'MEMBER', created_at: '2025-12-03T00:00:00Z', user: { login: 'lead' } }]
+  });
+  assert.equal(momentum.score, 50 + momentum.signals.reduce((sum, s) => sum + s.delta, 0));
+  assert.deepEqual(plain(momentum.signals.map(s => s.type)), ['up', 'up', 'up', 'up']);
+});
+
+test('reactions, PR activity, relabeling and the last commenter move momentum', () => {
+  const base = { issue: issue({ comments: 1, user: { login: 'reporter' } }), comments: [] };
+  const delta = bundle => core.calcMomentumScore({ ...base, ...bundle }).score - core.calcMomentumScore(base).score;
+  const daysAgo = days => new Date(Date.parse(NOW) - days * 86400000).toISOString();
+
+  // The baseline sits at 60, so every nudge stays inside 0-100
+  assert.equal(delta({ issue: { ...base.issue, reactions: { '+1': 12 } } }), 10);
+  assert.equal(delta({ issue: { ...base.issue, reactions: { '+1': 3 } } }), 5);
+  assert.equal(delta({ linkedPRs: [{ number: 4, state: 'open', updatedAt: daysAgo(2) }] }), 10);
+  assert.equal(delta({ linkedPRs: [{ number: 4, state: 'open', updatedAt: daysAgo(45) }] }), -5);
+  assert.equal(delta({ linkedPRs: [{ number: 4, state: 'closed', updatedAt: daysAgo(2) }] }), 0);
+  assert.equal(delta({ labelEvents: [{ type: 'labeled', createdAt: daysAgo(3) }] }), 5);
+  assert.equal(delta({ labelEvents: Array.from({ length: 5 }, () => ({ type: 'unlabeled', createdAt: daysAgo(3) })) }), -5);
+  assert.equal(delta({ labelEvents: [{ type: 'labeled', createdAt: daysAgo(40) }] }), 0);
+  assert.equal(delta({ comments: [{ author_association: 'NONE', created_at: NOW, user: { login: 'reporter' } }] }), -5);
+});
+
+test('labelEventsFromTimeline keeps labeled and unlabeled events', () => {
+  const events = core.labelEventsFromTimeline([
+    { event: 'labeled', created_at: NOW, label: { name: 'bug' } },
+    { event: 'assigned', created_at: NOW, assignee: { login: 'dev' } },
+    { event: 'unlabeled', created_at: NOW, label: { name: 'bug' } }
+  ]);
+  assert.deepEqual(plain(events.map(ev => `${ev.type}:${ev.label}`)), ['labeled:bug', 'unlabeled:bug']);
+});
+
+test('buildActivityTimeline buckets comments into the last 30 days', () => {
+  const timeline = core.buildActivityTimeline([
+    { created_at: '2026-01-15T08:00:00Z' },
+    { created_at: '2026-01-15T09:00:00Z' },
+    { created_at: '2026-01-01T09:00:00Z' },
+    { created_at: '2025-10-01T09:00:00Z' }
+  ]);
+  assert.equal(timeline.length, 30);
+  assert.equal(timeline[29].date, '2026-01-15');
+  assert.equal(timeline[29].count, 2);
+  assert.equal(timeline[29].kinds.comment, 2);
+  assert.equal(timeline.reduce((sum, day) => sum + day.count, 0), 3);
+});
+
+test('activityEventsFromTimeline maps timeline events to chart kinds', () => {
+  const events = core.activityEventsFromTimeline([
+    { event: 'labeled', created_at: NOW, label: { name: 'bug' } },
+    { event: 'commented', created_at: NOW },
+    { event: 'cross-referenced', created_at: NOW },
+    { event: 'referenced', created_at: NOW, commit_id: 'abc' },
+    { event: 'reopened', created_at: NOW },
+    { event: 'reviewed', submitted_at: NOW },
+    { event: 'subscribed', created_at: NOW }
+  ]);
+  assert.deepEqual(plain(events.map(ev => ev.kind)), ['label', 'crossref', 'commit', 'state', 'review']);
+});
+
+test('buildActivityTimeline stacks events by kind over longer windows', () => {
+  const comments = [{ created_at: '2026-01-15T08:00:00Z' }];
+  const events = [
+    { kind: 'label', createdAt: '2026-01-14T08:00:00Z' },
+    { kind: 'review', createdAt: '2025-11-01T08:00:00Z' },
+    { kind: 'state', createdAt: '2024-06-01T08:00:00Z' }
+  ];
+
+  const ninety = core.buildActivityTimeline(comments, { events, windowDays: 90 });
+  assert.equal(ninety.length, 45);
+  assert.equal(ninety[0].days, 2);
+  assert.deepEqual(plain(ninety[44].kinds), { comment: 1, review: 0, commit: 0, crossref: 0, state: 0, assignment: 0, label: 1 });
+  assert.equal(ninety.reduce((sum, d) => sum + d.count, 0), 3);
+
+  const lifetime = core.buildActivityTimeline(comments, { events, windowDays: null, since: '2024-05-01T00:00:00Z' });
+  assert.ok(lifetime.length <= 60);
+  assert.ok(lifetime[0].date <= '2024-05-01');
+  assert.equal(lifetime.reduce((sum, d) => sum + d.count, 0), 4);
+});
+
+test('buildRadarStats keeps every axis within 0-100, with or without momentum', () => {
+  const stats = core.buildRadarStats(issue({ comments: 40, body: '```'.repeat(30) }), null, []);
+  Object.values(stats).forEach(value => assert.ok(value >= 0 && value <= 100));
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, plain } = require('./load');
+
+const core = loadCore();
+
+const closingPR = { number: 5, linkType: 'closes' };
+const mention = { number: 6, linkType: 'mentions' };
+const fresh = { claimer: 'dev', state: 'fresh', reason: 'Claimed 2h ago' };
+const stale = { claimer: 'old', state: 'stale', reason: 'No activity from @old since 9d ago' };
+const fork = { owner: 'dev', branchName: 'fix-5', confidence: 'high', reasons: ['Branch name mentions #5'] };
+const dormant = { login: 'dev', dormant: true, warnings: ['Assigned 60d ago, no activity since'] };
+const allFeatures = { pr: true, claims: true };
+
+test('computeStatus ranks PRs over claims over forks and dormant assignees', () => {
+  assert.equal(core.computeStatus([closingPR], [fresh], [fork], [dormant]), 'red');
+  assert.equal(core.computeStatus([mention], [fresh], [], []), 'yellow');
+  assert.equal(core.computeStatus([], [stale], [], []), 'yellow');
+  assert.equal(core.computeStatus([], [], [fork], []), 'yellow');
+  assert.equal(core.computeStatus([], [], [{ ...fork, confidence: 'low' }], []), 'green');
+  assert.equal(core.computeStatus([], [], [], [dormant]), 'yellow');
+  assert.equal(core.computeStatus([mention], [{ ...fresh, state: 'released' }], null, null), 'green');
+});
+
+test('statusHeadline counts only targeting PRs', () => {
+  const headline = core.statusHeadline('red', { prs: [closingPR, mention, { number: 8, linkType: 'manual' }], claims: [] });
+  assert.equal(headline.text, '2 Linked PRs Found');
+});
+
+test('statusHeadline picks the strongest yellow reason', () => {
+  const data = { prs: [], claims: [stale, fresh], forks: [fork], workloads: [dormant] };
+  assert.equal(core.statusHeadline('yellow', data).text, 'dev claimed this');
+  assert.equal(core.statusHeadline('yellow', { ...data, claims: [stale] }).icon, '🟡');
+  assert.equal(core.statusHeadline('yellow', { ...data, claims: [] }).text, "Possible work in @dev's fork");
+  assert.equal(core.statusHeadline('yellow', { ...data, claims: [], forks: [] }).text, 'Dormant assignment');
+});
+
+test('the green headline says which scans were off', () => {
+  const sub = features => core.statusHeadline('green', { prs: [], claims: [], features }).sub;
+  assert.equal(sub(allFeatures), 'No active PRs or recent claims detected');
+  assert.equal(sub({ pr: true, claims: false }), 'No active PRs detected · claim scan off');
+  assert.equal(sub({ pr: false, claims: false }), 'PR and claim scans are turned off');
+});
+
+test('listRowReason explains each list badge', () => {
+  assert.equal(core.listRowReason('red', [closingPR, { number: 9, linkType: 'closes' }], [], true), '2 linked PRs: #5, #9');
+  assert.equal(core.listRowReason('yellow', [], [stale, fresh], true), 'Claimed by @dev');
+  assert.equal(core.listRowReason('yellow', [], [stale], true), 'Stale claim by @old');
+  assert.equal(core.listRowReason('green', [], [], false), 'No open PRs · claims not checked (rate limit budget)');
+  assert.deepEqual(plain(core.statusHeadline('green', { prs: [], claims: [], features: allFeatures })), {
+    icon: '✅', text: 'Clear to Contribute', sub: 'No active PRs or recent claims detected'
+  });
+});
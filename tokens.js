@@ -0,0 +1,139 @@
+/**
+ * GitHub Issue Radar — tokens.js
+ * Token profiles: named tokens per host, optionally tied to repository owners (e.g. a personal
+ * token for everything plus an org token for `my-org`). Shared by the service worker, popup.js
+ * and options.js; content scripts never see a token and let the service worker pick one.
+ *
+ * Tokens never go to chrome.storage.sync:
+ *   chrome.storage.local   token_profiles – [{ id, name, host, kind: 'pat'|'oauth', owners, remember, login, scopes, testedAt }]
+ *                          profile_tokens – { [id]: token } for profiles remembered on this device
+ *   chrome.storage.session profile_tokens – { [id]: token } for the rest, gone when the browser closes
+ * The OAuth App client ID isn't a secret and does sync:
+ *   chrome.storage.sync    oauth_client_id – set on the options page, overrides OAUTH_CLIENT_ID
+ */
+
+// Classic PATs, fine-grained PATs, OAuth app tokens and GitHub App user tokens; older Enterprise
+// Server releases still issue bare 40-character hex tokens
+const TOKEN_PREFIXES = ['ghp_', 'github_pat_', 'gho_', 'ghu_'];
+const TOKEN_PATTERN = new RegExp(`^(${TOKEN_PREFIXES.join('|')})[A-Za-z0-9_]+$|^[0-9a-f]{40}$`);
+const TOKEN_FORMAT_HINT = `Token should start with ${TOKEN_PREFIXES.slice(0, -1).join(', ')} or ${TOKEN_PREFIXES[TOKEN_PREFIXES.length - 1]}, or be 40 hex characters`;
+
+// Built-in client ID of an OAuth App with device flow enabled. Without one, "Sign in with GitHub"
+// stays off until the user enters their own app's client ID on the options page.
+const OAUTH_CLIENT_ID = '';
+const OAUTH_CLIENT_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+const OAUTH_SCOPES = 'public_repo';
+
+async function getOAuthClientId() {
+  const { oauth_client_id } = await chrome.storage.sync.get('oauth_client_id');
+  return oauth_client_id || OAUTH_CLIENT_ID;
+}
+
+function isValidToken(token) {
+  return TOKEN_PATTERN.test(token);
+}
+
+function tokenStorage(profile) {
+  return profile.remember ? chrome.storage.local : chrome.storage.session;
+}
+
+async function getTokenProfiles() {
+  const result = await chrome.storage.local.get('token_profiles');
+  return result.token_profiles || [];
+}
+
+// An owner match wins; a profile with no owners is the fallback for its host
+function resolveTokenProfile(profiles, host = DEFAULT_HOST, owner = null) {
+  const onHost = profiles.filter(p => p.host === host);
+  const login = (owner || '').toLowerCase();
+  return onHost.find(p => login && p.owners.includes(login)) ||
+    onHost.find(p => p.owners.length === 0) ||
+    null;
+}
+
+async function getProfileToken(profile) {
+  const result = await tokenStorage(profile).get('profile_tokens');
+  return (result.profile_tokens || {})[profile.id] || null;
+}
+
+// The token plus the profile it came from, which the service worker uses to keep each profile's cached
+// responses apart. { pat: null, profileId: null } without a token.
+async function getAuthFor(host = DEFAULT_HOST, owner = null) {
+  const profile = resolveTokenProfile(await getTokenProfiles(), host, owner);
+  const pat = profile ? await getProfileToken(profile) : null;
+  return { pat, profileId: pat ? profile.id : null };
+}
+
+async function setProfileToken(profile, token) {
+  // Drop any copy in the other area so switching "remember" doesn't leave the token behind
+  const other = profile.remember ? chrome.storage.session : chrome.storage.local;
+  const [here, there] = await Promise.all([tokenStorage(profile).get('profile_tokens'), other.get('profile_tokens')]);
+  const tokens = here.profile_tokens || {};
+  const otherTokens = there.profile_tokens || {};
+  if (token) tokens[profile.id] = token;
+  delete otherTokens[profile.id];
+  await Promise.all([
+    tokenStorage(profile).set({ profile_tokens: tokens }),
+    other.set({ profile_tokens: otherTokens })
+  ]);
+}
+
+/**
+ * Adds or updates a profile. `token` may be omitted when editing an existing profile.
+ * Owners are stored lowercased; resolves to the saved profile.
+ */
+async function saveTokenProfile(fields, token = null) {
+  const profiles = await getTokenProfiles();
+  const existing = profiles.find(p => p.id === fields.id);
+  const keep = key => (key in fields ? fields[key] : existing?.[key] ?? null);
+  const profile = {
+    id: fields.id || `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: fields.name || 'Personal',
+    host: fields.host || DEFAULT_HOST,
+    kind: fields.kind || existing?.kind || 'pat',
+    owners: (fields.owners || []).map(o => o.trim().toLowerCase()).filter(Boolean),
+    remember: fields.remember !== false,
+    login: keep('login'),
+    scopes: keep('scopes'),
+    testedAt: keep('testedAt')
+  };
+  if (!token && existing) token = await getProfileToken(existing);
+  await setProfileToken(profile, token);
+  await chrome.storage.local.set({
+    token_profiles: existing ? profiles.map(p => (p.id === profile.id ? profile : p)) : [...profiles, profile]
+  });
+  return profile;
+}
+
+async function removeTokenProfile(id) {
+  const profiles = await getTokenProfiles();
+  const [local, session] = await Promise.all([
+    chrome.storage.local.get('profile_tokens'),
+    chrome.storage.session.get('profile_tokens')
+  ]);
+  const localTokens = local.profile_tokens || {};
+  const sessionTokens = session.profile_tokens || {};
+  delete localTokens[id];
+  delete sessionTokens[id];
+  await Promise.all([
+    chrome.storage.local.set({ token_profiles: profiles.filter(p => p.id !== id), profile_tokens: localTokens }),
+    chrome.storage.session.set({ profile_tokens: sessionTokens })
+  ]);
+}
+
+// Tokens used to live in chrome.storage.sync (github_pat, host_tokens) and synced in plain text
+async function migrateSyncedTokens() {
+  const { github_pat, host_tokens } = await chrome.storage.sync.get(['github_pat', 'host_tokens']);
+  const profiles = await getTokenProfiles();
+  const hasFallback = host => profiles.some(p => p.host === host && p.owners.length === 0);
+
+  if (github_pat && !hasFallback(DEFAULT_HOST)) {
+    await saveTokenProfile({ name: 'Personal', host: DEFAULT_HOST }, github_pat);
+  }
+  for (const [host, token] of Object.entries(host_tokens || {})) {
+    if (token && !hasFallback(host)) await saveTokenProfile({ name: host, host }, token);
+  }
+  if (github_pat !== undefined || host_tokens !== undefined) {
+    await chrome.storage.sync.remove(['github_pat', 'host_tokens']);
+  }
+}